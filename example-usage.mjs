@@ -2,18 +2,58 @@
 // using the official MCP SDK client
 import { Client } from "@modelcontextprotocol/sdk/client/index.js";
 import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
-import { dirname, resolve } from "path";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import { spawn } from "child_process";
+import { existsSync, mkdtempSync, readFileSync, rmSync } from "fs";
+import { createServer } from "http";
+import { tmpdir } from "os";
+import { dirname, join, resolve } from "path";
 import { fileURLToPath } from "url";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
+// Fail the run when a check does not hold
+const check = (condition, message) => {
+  if (!condition) throw new Error(`Check failed: ${message}`);
+};
+
+// Local stand-in for the petstore API, for the call-endpoint example
+const api = createServer((req, res) => {
+  res.setHeader("Content-Type", "application/json");
+  if (req.headers["x-api-key"] !== "example-key") {
+    res.statusCode = 401;
+    res.end(JSON.stringify({ code: 401, message: "Invalid API key" }));
+  } else if (req.url === "/pets/1") {
+    res.end(JSON.stringify({ id: 1, name: "Fluffy", status: "available" }));
+  } else if (req.url === "/pets/2") {
+    // A pet with a name of 2 MB, longer than call-endpoint reads
+    res.end(JSON.stringify({ id: 2, name: "x".repeat(2 * 1024 * 1024), status: "available" }));
+  } else {
+    res.statusCode = 404;
+    res.end(JSON.stringify({ code: 404, message: "Pet not found" }));
+  }
+});
+await new Promise((done) => api.listen(0, "127.0.0.1", done));
+const apiUrl = `http://127.0.0.1:${api.address().port}`;
+
+// Directory that extract-subset may write to
+const outputDir = mkdtempSync(join(tmpdir(), "openapi-subsets-"));
+
 // Set up the MCP client to communicate with our server
 const transport = new StdioClientTransport({
   command: "node",
   args: [
     resolve(__dirname, "index.mjs"),
-    resolve(__dirname, "./sample-petstore.yaml")
+    resolve(__dirname, "./sample-petstore.yaml"),
+    resolve(__dirname, "./sample-petstore-v2.yaml"),
+    resolve(__dirname, "./sample-swagger2.yaml"),
+    resolve(__dirname, "./sample-openapi31.yaml"),
+    "--allow-host",
+    "127.0.0.1",
+    "--output-dir",
+    outputDir,
   ],
+  env: { ...process.env, OPENAPI_AUTH_API_KEY_AUTH: "example-key" },
 });
 
 const client = new Client({
@@ -28,14 +68,73 @@ console.log("Connected to MCP server successfully!");
 
 // Run example tool calls
 try {
+  // List specs
+  console.log("\n--- LISTING SPECS ---");
+  const specs = await client.callTool({
+    name: "list-specs",
+    arguments: {},
+  });
+  console.log(specs.content[0].text);
+
+  // Swagger 2.0 and OpenAPI 3.1 specs are read in the OpenAPI 3.0 layout
+  console.log("\n--- OTHER SPEC VERSIONS ---");
+  const specsJson = await client.callTool({
+    name: "list-specs",
+    arguments: { format: "json" },
+  });
+  const specVersions = specsJson.structuredContent.result;
+  check(specVersions["sample-swagger2"].specVersion === "Swagger 2.0", "the Swagger 2.0 sample is detected");
+  check(specVersions["sample-openapi31"].specVersion === "OpenAPI 3.1.0", "the OpenAPI 3.1 sample is detected");
+  const swaggerBody = await client.callTool({
+    name: "get-request-body",
+    arguments: { spec: "sample-swagger2", operationId: "createPet", format: "json" },
+  });
+  console.log(JSON.stringify(swaggerBody.structuredContent.result));
+  check(
+    swaggerBody.structuredContent.result.content?.["application/json"]?.schema?.$ref === "#/components/schemas/NewPet",
+    "a Swagger 2.0 body parameter is a request body referencing components/schemas",
+  );
+  const nullablePet = await client.callTool({
+    name: "get-component",
+    arguments: { spec: "sample-openapi31", type: "schemas", name: "Pet", format: "json" },
+  });
+  const nickname = nullablePet.structuredContent.result.properties.nickname;
+  console.log(JSON.stringify(nickname));
+  check(nickname.type === "string" && nickname.nullable === true, 'OpenAPI 3.1 type [string, "null"] is nullable');
+
   // List endpoints
   console.log("\n--- LISTING ENDPOINTS ---");
   const endpoints = await client.callTool({
     name: "list-endpoints",
-    arguments: {},
+    arguments: {
+      pathPrefix: "/pets",
+      limit: 3,
+    },
   });
   console.log(endpoints.content[0].text);
 
+  // List endpoints as compact signatures
+  console.log("\n--- ENDPOINT SIGNATURES ---");
+  const signatures = await client.callTool({
+    name: "list-endpoints",
+    arguments: {
+      format: "signature",
+    },
+  });
+  console.log(signatures.content[0].text);
+
+  // Get a component as JSON, which also comes back as structured content
+  console.log("\n--- GET COMPONENT AS JSON ---");
+  const componentJson = await client.callTool({
+    name: "get-component",
+    arguments: {
+      type: "schemas",
+      name: "Pet",
+      format: "json",
+    },
+  });
+  console.log(JSON.stringify(componentJson.structuredContent, null, 2));
+
   // Get endpoint details
   console.log("\n--- GET ENDPOINT DETAILS ---");
   const endpointDetails = await client.callTool({
@@ -47,6 +146,42 @@ try {
   });
   console.log(endpointDetails.content[0].text);
 
+  // Get an operation by its operationId
+  console.log("\n--- GET OPERATION BY ID ---");
+  const operation = await client.callTool({
+    name: "get-operation",
+    arguments: {
+      operationId: "createPet",
+      format: "markdown",
+    },
+  });
+  console.log(operation.content[0].text);
+
+  // List webhooks (the sample spec has none)
+  console.log("\n--- LIST WEBHOOKS ---");
+  const webhooks = await client.callTool({
+    name: "list-webhooks",
+    arguments: {},
+  });
+  console.log(webhooks.content[0].text);
+
+  // List tags and the operations grouped by tag
+  console.log("\n--- LIST TAGS ---");
+  const tags = await client.callTool({
+    name: "list-tags",
+    arguments: {},
+  });
+  console.log(tags.content[0].text);
+
+  console.log("\n--- LIST OPERATIONS BY TAG ---");
+  const operationsByTag = await client.callTool({
+    name: "list-operations-by-tag",
+    arguments: {
+      tag: "pets",
+    },
+  });
+  console.log(operationsByTag.content[0].text);
+
   // Get request body schema
   console.log("\n--- GET REQUEST BODY SCHEMA ---");
   const requestBody = await client.callTool({
@@ -82,11 +217,24 @@ try {
   const searchResults = await client.callTool({
     name: "search-schema",
     arguments: {
-      pattern: "pet",
+      query: "pet category",
+      limit: 5,
     },
   });
   console.log(searchResults.content[0].text);
 
+  // Regex patterns that backtrack for a very long time are refused instead of hanging the server
+  console.log("\n--- SEARCH SCHEMA (UNSAFE REGEX) ---");
+  for (const query of ["(a+)+$", "((.)+)+!"]) {
+    const unsafeSearch = await client.callTool(
+      { name: "search-schema", arguments: { query, mode: "regex" } },
+      undefined,
+      { timeout: 10000 },
+    );
+    console.log(unsafeSearch.content[0].text);
+    check(unsafeSearch.isError && /invalid_arguments/.test(unsafeSearch.content[0].text), `${query} is refused`);
+  }
+
   // Get path parameters
   console.log("\n--- GET PATH PARAMETERS ---");
   const parameters = await client.callTool({
@@ -110,6 +258,57 @@ try {
   });
   console.log(response.content[0].text);
 
+  // Find where a schema is used before changing it
+  console.log("\n--- COMPONENT USAGES ---");
+  const usages = await client.callTool({
+    name: "component-usages",
+    arguments: {
+      name: "Pet",
+    },
+  });
+  console.log(usages.content[0].text);
+
+  // List the schemas an operation depends on
+  console.log("\n--- COMPONENT DEPENDENCIES ---");
+  const dependencies = await client.callTool({
+    name: "component-dependencies",
+    arguments: {
+      operationId: "listPets",
+    },
+  });
+  console.log(dependencies.content[0].text);
+
+  // Extract one operation as a standalone spec
+  console.log("\n--- EXTRACT SUBSET ---");
+  const subset = await client.callTool({
+    name: "extract-subset",
+    arguments: {
+      operationIds: ["getPetById"],
+    },
+  });
+  console.log(subset.content[0].text);
+
+  // Written files stay in the output directory and are only replaced when asked
+  console.log("\n--- EXTRACT SUBSET TO A FILE ---");
+  const extract = (output, overwrite) =>
+    client.callTool({ name: "extract-subset", arguments: { operationIds: ["listPets"], output, overwrite } });
+  const written = await extract("pets.yaml");
+  console.log(written.content[0].text);
+  check(!written.isError && existsSync(join(outputDir, "pets.yaml")), "the subset is written");
+  const writtenText = readFileSync(join(outputDir, "pets.yaml"), "utf8");
+  for (const output of ["../escaped.yaml", join(tmpdir(), "escaped.yaml")]) {
+    const escaped = await extract(output, true);
+    console.log(escaped.content[0].text);
+    check(escaped.isError && !existsSync(join(outputDir, "..", "escaped.yaml")), `${output} is refused`);
+  }
+  const replaced = await client.callTool({
+    name: "extract-subset",
+    arguments: { operationIds: ["getPetById"], output: "pets.yaml" },
+  });
+  console.log(replaced.content[0].text);
+  check(replaced.isError, "an existing file is not replaced without overwrite");
+  check(readFileSync(join(outputDir, "pets.yaml"), "utf8") === writtenText, "the existing file is unchanged");
+
   // List security schemes
   console.log("\n--- LIST SECURITY SCHEMES ---");
   const security = await client.callTool({
@@ -117,10 +316,241 @@ try {
     arguments: {},
   });
   console.log(security.content[0].text);
+
+  // Resolve the security of an operation, and audit the spec's security
+  console.log("\n--- EFFECTIVE SECURITY ---");
+  const effectiveSecurity = await client.callTool({
+    name: "get-effective-security",
+    arguments: {
+      operationId: "listPets",
+    },
+  });
+  console.log(effectiveSecurity.content[0].text);
+
+  console.log("\n--- SECURITY AUDIT ---");
+  const securityAudit = await client.callTool({
+    name: "get-effective-security",
+    arguments: {
+      audit: true,
+    },
+  });
+  console.log(securityAudit.content[0].text);
+
+  // Validate the spec
+  console.log("\n--- VALIDATE SPEC ---");
+  const validation = await client.callTool({
+    name: "validate-spec",
+    arguments: {},
+  });
+  console.log(validation.content[0].text);
+
+  // Validate a payload
+  console.log("\n--- VALIDATE PAYLOAD ---");
+  const payloadValidation = await client.callTool({
+    name: "validate-payload",
+    arguments: {
+      path: "/pets",
+      method: "post",
+      direction: "request",
+      body: { name: "Fluffy", category: 3 },
+    },
+  });
+  console.log(payloadValidation.content[0].text);
+
+  // Generate an example response
+  console.log("\n--- GENERATE EXAMPLE ---");
+  const generatedExample = await client.callTool({
+    name: "generate-example",
+    arguments: {
+      path: "/pets/{petId}",
+      method: "get",
+      seed: 42,
+    },
+  });
+  console.log(generatedExample.content[0].text);
+
+  // Generate TypeScript types
+  console.log("\n--- GENERATE TYPES ---");
+  const types = await client.callTool({
+    name: "generate-types",
+    arguments: {
+      path: "/pets",
+      method: "post",
+    },
+  });
+  console.log(types.content[0].text);
+
+  // Generate a request snippet
+  console.log("\n--- GENERATE REQUEST SNIPPET ---");
+  const snippet = await client.callTool({
+    name: "generate-request-snippet",
+    arguments: {
+      operationId: "getPetById",
+      language: "curl",
+      pathParams: { petId: 1 },
+    },
+  });
+  console.log(snippet.content[0].text);
+
+  // Compare two versions of the sample: v2 removes deletePet and adds an optional parameter
+  console.log("\n--- DIFF SPECS ---");
+  const diff = await client.callTool({
+    name: "diff-specs",
+    arguments: {
+      base: "sample-petstore",
+      revision: "sample-petstore-v2",
+      format: "summary",
+    },
+  });
+  console.log(diff.content[0].text);
+  const diffJson = await client.callTool({
+    name: "diff-specs",
+    arguments: { base: "sample-petstore", revision: "sample-petstore-v2", format: "json" },
+  });
+  const { changes } = diffJson.structuredContent.result;
+  console.log(JSON.stringify(changes, null, 2));
+  check(
+    changes.some((change) => change.breaking && change.location === "#/paths/~1pets~1{petId}/delete"),
+    "removing deletePet is a breaking change at its operation",
+  );
+  check(
+    changes.some((change) => !change.breaking && change.location.startsWith("#/paths/~1pets/get/parameters")),
+    "adding an optional parameter is a non-breaking change",
+  );
+
+  // Call an endpoint on the local stand-in and validate the response
+  console.log("\n--- CALL ENDPOINT ---");
+  const call = await client.callTool({
+    name: "call-endpoint",
+    arguments: {
+      operationId: "getPetById",
+      pathParams: { petId: 1 },
+      server: apiUrl,
+    },
+  });
+  console.log(call.content[0].text);
+
+  // Long response bodies are cut off, and a malformed server is an invalid argument
+  const longCall = await client.callTool({
+    name: "call-endpoint",
+    arguments: { operationId: "getPetById", pathParams: { petId: 2 }, server: apiUrl, format: "json" },
+  });
+  console.log(longCall.structuredContent.result.response.truncated);
+  check(/only its start was read/.test(longCall.structuredContent.result.response.truncated), "a long response body is cut off");
+  const badServer = await client.callTool({
+    name: "call-endpoint",
+    arguments: { operationId: "getPetById", pathParams: { petId: 1 }, server: "not a url", format: "json" },
+  });
+  console.log(badServer.content[0].text);
+  check(badServer.structuredContent?.error.code === "invalid_arguments", "a malformed server is an invalid argument");
+
+  // Start a mock server, request a documented error response from it and stop it
+  console.log("\n--- MOCK SERVER ---");
+  const mock = await client.callTool({
+    name: "start-mock-server",
+    arguments: {},
+  });
+  console.log(mock.content[0].text);
+  const mockUrl = mock.content[0].text.match(/^url: (.+)$/m)[1];
+  const mockResponse = await fetch(`${mockUrl}/pets/1`, { headers: { Prefer: "code=404" } });
+  console.log(mockResponse.status, await mockResponse.text());
+  check(mockResponse.status === 404, "Prefer: code=404 answers 404");
+
+  // A range answers with its first documented code, and unusable codes are a 400 from the mock
+  const rangeResponse = await fetch(`${mockUrl}/pets/1`, { headers: { Prefer: "code=4XX" } });
+  console.log(rangeResponse.status, await rangeResponse.text());
+  check(rangeResponse.status === 404, "Prefer: code=4XX answers 404");
+  for (const code of ["abc", "999"]) {
+    const invalidResponse = await fetch(`${mockUrl}/pets/1?__code=${code}`);
+    const invalidBody = await invalidResponse.json();
+    console.log(invalidResponse.status, JSON.stringify(invalidBody));
+    check(invalidResponse.status === 400 && /Invalid status code/.test(invalidBody.error), `__code=${code} answers 400`);
+  }
+  const largeResponse = await fetch(`${mockUrl}/pets`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ name: "x".repeat(2 * 1024 * 1024) }),
+  });
+  console.log(largeResponse.status, await largeResponse.text());
+  check(largeResponse.status === 413, "a request body over the limit answers 413");
+  await client.callTool({ name: "stop-mock-server", arguments: {} });
+
+  // Find the operation of a request URL and decode its parameters
+  console.log("\n--- MATCH REQUEST ---");
+  const matchedRequest = await client.callTool({
+    name: "match-request",
+    arguments: {
+      method: "GET",
+      url: "/pets?limit=5",
+    },
+  });
+  console.log(matchedRequest.content[0].text);
+
+  // Browse the spec as MCP resources
+  console.log("\n--- RESOURCES ---");
+  const resources = await client.listResources();
+  console.log(resources.resources.map((resource) => resource.uri).join("\n"));
+  const resource = await client.readResource({ uri: "openapi://sample-petstore/tags/pets" });
+  console.log(resource.contents[0].text);
+
+  // Get a prompt with the context for explaining an endpoint
+  console.log("\n--- PROMPTS ---");
+  const prompts = await client.listPrompts();
+  console.log(prompts.prompts.map((prompt) => prompt.name).join(", "));
+  const prompt = await client.getPrompt({
+    name: "explain-endpoint",
+    arguments: { operationId: "getPetById" },
+  });
+  console.log(prompt.messages[0].content.text.split("\n")[0]);
+
+  // Serve the spec over HTTP with a bearer token, on a free port
+  console.log("\n--- HTTP SERVER ---");
+  const httpServer = spawn(
+    "node",
+    [resolve(__dirname, "index.mjs"), resolve(__dirname, "./sample-petstore.yaml"), "--http", "0", "--http-token", "example-token"],
+    { stdio: ["ignore", "ignore", "pipe"] },
+  );
+  try {
+    const mcpUrl = await new Promise((done, fail) => {
+      let output = "";
+      httpServer.stderr.on("data", (data) => {
+        output += data;
+        const listening = output.match(/listening on (\S+\/mcp)/);
+        if (listening) done(listening[1]);
+      });
+      httpServer.once("exit", (code) => fail(new Error(`HTTP server exited with code ${code}: ${output}`)));
+    });
+    console.log(mcpUrl);
+
+    const unauthorized = await fetch(mcpUrl, { method: "POST" });
+    console.log(unauthorized.status, unauthorized.headers.get("www-authenticate"));
+    check(unauthorized.status === 401, "a request without the bearer token answers 401");
+
+    const headers = { Authorization: "Bearer example-token", Accept: "application/json, text/event-stream" };
+    const withoutSession = await fetch(mcpUrl, {
+      method: "POST",
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "tools/list" }),
+    });
+    console.log(withoutSession.status, await withoutSession.text());
+    check(withoutSession.status === 400, "a request without a session other than initialize answers 400");
+
+    const httpClient = new Client({ name: "openapi-schema-http-client", version: "1.0.0" });
+    await httpClient.connect(new StreamableHTTPClientTransport(new URL(mcpUrl), { requestInit: { headers } }));
+    const httpTools = await httpClient.listTools();
+    console.log(`${httpTools.tools.length} tools over HTTP`);
+    check(httpTools.tools.some((tool) => tool.name === "list-endpoints"), "an HTTP session lists the tools");
+    await httpClient.close();
+  } finally {
+    httpServer.kill();
+  }
 } catch (error) {
   console.error("Error during testing:", error);
+  process.exitCode = 1;
 } finally {
   // Close the connection
   await client.close();
+  api.close();
+  rmSync(outputDir, { recursive: true, force: true });
   console.log("\nTests completed, disconnected from server.");
 }
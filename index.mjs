@@ -1,656 +1,6536 @@
 #!/usr/bin/env node
 import SwaggerParser from "@apidevtools/swagger-parser";
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import {
+  ErrorCode,
+  McpError,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+} from "@modelcontextprotocol/sdk/types.js";
+import Ajv2020 from "ajv/dist/2020.js";
+import addFormats from "ajv-formats";
 import yaml from "js-yaml";
 import { Console } from "node:console";
-import { readFileSync } from "node:fs";
-import { resolve } from "node:path";
+import { createHash, randomUUID, timingSafeEqual } from "node:crypto";
+import { createServer } from "node:http";
+import { existsSync, lstatSync, readdirSync, readFileSync, realpathSync, statSync, watch, writeFileSync } from "node:fs";
+import { basename, dirname, extname, isAbsolute, join, relative, resolve, sep } from "node:path";
+import { parseArgs } from "node:util";
+import { runInNewContext } from "node:vm";
 import { z } from "zod";
 
 // Redirect console output to stderr to avoid interfering with MCP comms
 globalThis.console = new Console(process.stderr);
 
-const args = process.argv.slice(2);
+// Error that is returned to the client as a tool result with `isError: true`. `code` is a
+// machine-readable error code such as path_not_found, `details` holds extra fields such
+// as the location of a parse error or suggested names.
+class ToolError extends Error {
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = "ToolError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Edit distance between two strings, used to suggest names for typos
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// The `candidates` closest to `input`, best first, leaving out ones that are nothing alike
+const closestMatches = (input, candidates, limit = 3) => {
+  const needle = String(input).toLowerCase();
+  return candidates
+    .map((candidate) => {
+      const haystack = candidate.toLowerCase();
+      const distance = haystack.includes(needle) || needle.includes(haystack)
+        ? Math.abs(haystack.length - needle.length) / 2
+        : editDistance(needle, haystack);
+      return { candidate, distance };
+    })
+    .filter(({ candidate, distance }) => distance <= Math.max(3, Math.max(needle.length, candidate.length) / 2))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit)
+    .map(({ candidate }) => candidate);
+};
+
+const { values: options, positionals } = parseArgs({
+  options: {
+    help: { type: "boolean", short: "h" },
+    "allow-host": { type: "string", multiple: true },
+    "allow-method": { type: "string", multiple: true },
+    credentials: { type: "string" },
+    mock: { type: "string" },
+    "max-output": { type: "string" },
+    format: { type: "string" },
+    http: { type: "string" },
+    bind: { type: "string" },
+    "http-token": { type: "string" },
+    "output-dir": { type: "string" },
+  },
+  allowPositionals: true,
+});
 
-if (args.includes("--help") || args.includes("-h")) {
+if (options.help) {
   console.log(`
 OpenAPI Schema Model Context Protocol Server
 
 Usage: 
-  node index.mjs [path/to/openapi.yaml]
+  node index.mjs [[alias=]path/to/openapi.yaml ...]
 
 Arguments:
-  path/to/openapi.yaml  Path to the OpenAPI schema file (JSON or YAML) (optional)
-                       If not provided, defaults to openapi.yaml
+  path/to/openapi.yaml  Path to an OpenAPI schema file (JSON or YAML), a directory of
+                       schema files, or a file pattern such as specs/*.yaml (optional,
+                       repeatable). If not provided, defaults to openapi.yaml
+  alias=                Short name the tools use to refer to the spec. Defaults to the
+                       file name without its extension
+
+Options:
+  --allow-host <host>   Enables the call-endpoint tool for requests to this host
+                       (repeatable). Accepts host, host:port or *.domain
+  --allow-method <m>    HTTP method call-endpoint may use (repeatable). Defaults to
+                       GET, HEAD and OPTIONS; * allows all methods
+  --credentials <file>  YAML or JSON file with credentials for call-endpoint, keyed
+                       by security scheme name
+  --mock <port>         Also serve a mock of the first spec on this port, answering
+                       with examples from the spec
+  --max-output <chars>  Longest tool result, in characters (default 50000). Longer
+                       results are cut off and can be read on with continue-output
+  --format <format>     Default output format of the tools: yaml (default) or json.
+                       Tools also take a format argument
+  --http <port>         Serve MCP over HTTP on this port instead of stdio: Streamable
+                       HTTP on /mcp and HTTP+SSE on /sse, for any number of clients
+  --bind <address>      Address the HTTP server listens on (default 127.0.0.1)
+  --http-token <token>  Bearer token that HTTP clients must send. Defaults to the
+                       MCP_HTTP_TOKEN environment variable; without one, no token is needed
+  --output-dir <dir>    Lets extract-subset write files into this directory. Without
+                       it, tools never write files
+
+The first spec is the default for tools that are called without a spec alias.
 
 Examples:
   node index.mjs # Uses default openapi.yaml
   node index.mjs ../petstore.json # Uses petstore OpenAPI spec
   node index.mjs /absolute/path/to/api-schema.yaml
+  node index.mjs pets=../petstore.json users=../users.yaml
+  node index.mjs "specs/*.yaml"
+  node index.mjs api.yaml --allow-host api.example.com --credentials creds.yaml
+  node index.mjs api.yaml --mock 4010
+  node index.mjs api.yaml --format json
+  node index.mjs "specs/*.yaml" --http 3000 --bind 0.0.0.0 --http-token secret
   `);
   process.exit(0);
 }
 
-const loadSchema = (path) => {
-  // Default to openapi.yaml if no argument provided
-  const schemaPath = resolve(path);
+// Regular expression for a glob pattern where * matches any run of characters and ? one character
+const globToRegExp = (pattern, flags = "") =>
+  new RegExp(
+    `^${pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".")}$`,
+    flags,
+  );
 
-  try {
-    // Read and parse the file synchronously
-    const fileContent = readFileSync(schemaPath, 'utf8');
-    const parsedContent = yaml.load(fileContent);
-    return parsedContent;
-  } catch (error) {
-    console.error(`Error loading schema: ${error.message}`);
-    process.exit(1);
+const maxOutput = Number(options["max-output"] ?? 50000);
+if (!Number.isInteger(maxOutput) || maxOutput < 1000) {
+  console.error(`Invalid --max-output: ${options["max-output"]} (use a number of characters of at least 1000)`);
+  process.exit(1);
+}
+
+// Output formats every tool supports. Tools can add markdown, signature and text views.
+const OUTPUT_FORMATS = ["yaml", "json"];
+const defaultFormat = options.format ?? "yaml";
+// Tools with a text view, which return code or cut-off output, default to it
+const textDefaultFormat = options.format ?? "text";
+if (!OUTPUT_FORMATS.includes(defaultFormat)) {
+  console.error(`Invalid --format: ${options.format} (use ${OUTPUT_FORMATS.join(" or ")})`);
+  process.exit(1);
+}
+
+const httpPort = options.http === undefined ? undefined : Number(options.http);
+if (httpPort !== undefined && (!Number.isInteger(httpPort) || httpPort < 0 || httpPort > 65535)) {
+  console.error(`Invalid --http port: ${options.http}`);
+  process.exit(1);
+}
+
+// Directory that tools may write files to, if the operator allows it
+const outputDir = options["output-dir"] === undefined ? undefined : resolve(options["output-dir"]);
+if (outputDir !== undefined && !(existsSync(outputDir) && statSync(outputDir).isDirectory())) {
+  console.error(`Invalid --output-dir: ${options["output-dir"]} is not a directory`);
+  process.exit(1);
+}
+
+const SPEC_EXTENSIONS = [".yaml", ".yml", ".json"];
+
+// Expand a spec argument (a file, a directory or a file name pattern) to file paths
+const expandSpecArgument = (path) => {
+  if (existsSync(path) && statSync(path).isDirectory()) {
+    return readdirSync(path)
+      .filter((file) => SPEC_EXTENSIONS.includes(extname(file).toLowerCase()))
+      .sort()
+      .map((file) => resolve(path, file));
+  }
+
+  const pattern = basename(path);
+  if (!/[*?]/.test(pattern)) return [resolve(path)];
+
+  const directory = dirname(path);
+  if (/[*?]/.test(directory)) {
+    throw new Error(`Patterns are only supported in file names: ${path}`);
   }
+  const regex = globToRegExp(pattern);
+  return existsSync(directory)
+    ? readdirSync(directory)
+        .filter((file) => regex.test(file))
+        .sort()
+        .map((file) => resolve(directory, file))
+    : [];
 };
 
-const server = new McpServer({
-  name: `OpenAPI Schema`,
-  version: "1.0.0",
-  description: `Provides OpenAPI schema information for schema files`,
-});
+// Registered specs, keyed by alias. The first one is the default.
+const specs = new Map();
 
-// Helper to convert objects to YAML for better readability
-const toYaml = (obj) => yaml.dump(obj, { lineWidth: 100, noRefs: true });
+const registerSpec = (alias, path) => {
+  let uniqueAlias = alias;
+  for (let i = 2; specs.has(uniqueAlias); i++) uniqueAlias = `${alias}-${i}`;
+  specs.set(uniqueAlias, path);
+  if (!existsSync(path)) {
+    console.error(`Warning: spec file ${path} (${uniqueAlias}) does not exist`);
+  }
+};
 
-// List all API paths and operations
-server.tool(
-  "list-endpoints",
-  "Lists all API paths and their HTTP methods with summaries, organized by path",
-  { openapiSchemaPath: z.string().describe("Path to the OpenAPI schema file") },
-  ({ openapiSchemaPath }) => {
-    const openApiDoc = loadSchema(openapiSchemaPath);
-    const pathMap = {};
+for (const argument of positionals.length ? positionals : ["openapi.yaml"]) {
+  const [, alias, path] = argument.match(/^([\w.-]+)=(.+)$/) || [undefined, undefined, argument];
+  const files = expandSpecArgument(path);
+  if (files.length === 0) {
+    console.error(`Error: no spec files match ${path}`);
+    process.exit(1);
+  }
+  for (const file of files) {
+    // An explicit alias names a single file, or prefixes the files of a pattern
+    const name = basename(file, extname(file));
+    registerSpec(alias ? (files.length === 1 ? alias : `${alias}/${name}`) : name, file);
+  }
+}
 
-    for (const [path, pathItem] of Object.entries(openApiDoc.paths || {})) {
-      // Get all HTTP methods for this path
-      const methods = Object.keys(pathItem).filter((key) =>
-        ["get", "post", "put", "delete", "patch", "options", "head"].includes(key.toLowerCase()),
-      );
+const defaultSpec = specs.keys().next().value;
 
-      // Create a methods object for this path
-      pathMap[path] = {};
+const specOption = z
+  .string()
+  .optional()
+  .describe(`Alias of the OpenAPI spec to use (see list-specs). Defaults to "${defaultSpec}"`);
 
-      // Add each method with its summary
-      for (const method of methods) {
-        const operation = pathItem[method];
-        pathMap[path][method.toUpperCase()] = operation.summary || "No summary";
-      }
+// Path of the spec registered under `alias`, or of the default spec
+const specPath = (alias = defaultSpec) => {
+  const path = specs.get(alias);
+  if (!path) {
+    throw new ToolError("spec_not_found", `Unknown spec '${alias}'`, {
+      suggestions: closestMatches(alias, [...specs.keys()]),
+      available: [...specs.keys()],
+    });
+  }
+  return path;
+};
+
+const HTTP_METHODS = ["get", "post", "put", "delete", "patch", "options", "head", "trace"];
+
+// Schema keywords whose values are a schema, a list of schemas or a map of schemas
+const SUBSCHEMA_KEYWORDS = [
+  "items",
+  "additionalItems",
+  "additionalProperties",
+  "not",
+  "if",
+  "then",
+  "else",
+  "contains",
+  "propertyNames",
+  "unevaluatedItems",
+  "unevaluatedProperties",
+];
+const SUBSCHEMA_LIST_KEYWORDS = ["allOf", "oneOf", "anyOf", "prefixItems"];
+const SUBSCHEMA_MAP_KEYWORDS = ["properties", "patternProperties", "dependentSchemas", "$defs"];
+
+const mapValues = (obj, fn) =>
+  Object.fromEntries(Object.entries(obj).map(([key, value]) => [key, fn(value, key)]));
+
+// Apply `fn` to `schema` and every schema nested in it, innermost first
+const mapSchema = (schema, fn) => {
+  if (!schema || typeof schema !== "object" || Array.isArray(schema)) return schema;
+
+  const mapped = { ...schema };
+  for (const keyword of SUBSCHEMA_KEYWORDS) {
+    if (Array.isArray(mapped[keyword])) {
+      mapped[keyword] = mapped[keyword].map((item) => mapSchema(item, fn));
+    } else if (mapped[keyword] && typeof mapped[keyword] === "object") {
+      mapped[keyword] = mapSchema(mapped[keyword], fn);
+    }
+  }
+  for (const keyword of SUBSCHEMA_LIST_KEYWORDS) {
+    if (Array.isArray(mapped[keyword])) {
+      mapped[keyword] = mapped[keyword].map((item) => mapSchema(item, fn));
+    }
+  }
+  for (const keyword of SUBSCHEMA_MAP_KEYWORDS) {
+    if (mapped[keyword] && typeof mapped[keyword] === "object") {
+      mapped[keyword] = mapValues(mapped[keyword], (item) => mapSchema(item, fn));
     }
+  }
+  return fn(mapped);
+};
 
+// Apply `fn` to every schema in an OpenAPI 3.x document: component schemas and the
+// schemas of parameters, headers, request bodies and responses, wherever they appear
+const mapDocumentSchemas = (doc, fn) => {
+  const mapContent = (content) =>
+    mapValues(content, (mediaType) => ({
+      ...mediaType,
+      ...(mediaType?.schema ? { schema: mapSchema(mediaType.schema, fn) } : {}),
+      ...(mediaType?.encoding
+        ? {
+            encoding: mapValues(mediaType.encoding, (encoding) => ({
+              ...encoding,
+              ...(encoding?.headers ? { headers: mapValues(encoding.headers, mapParameter) } : {}),
+            })),
+          }
+        : {}),
+    }));
+  // Parameters and headers share the same structure
+  const mapParameter = (parameter) => {
+    if (!parameter || typeof parameter !== "object" || parameter.$ref) return parameter;
+    return {
+      ...parameter,
+      ...(parameter.schema ? { schema: mapSchema(parameter.schema, fn) } : {}),
+      ...(parameter.content ? { content: mapContent(parameter.content) } : {}),
+    };
+  };
+  const mapBody = (body) => {
+    if (!body || typeof body !== "object" || body.$ref) return body;
     return {
-      content: [
+      ...body,
+      ...(body.content ? { content: mapContent(body.content) } : {}),
+      ...(body.headers ? { headers: mapValues(body.headers, mapParameter) } : {}),
+    };
+  };
+  const mapCallbacks = (callbacks) =>
+    mapValues(callbacks, (callback) =>
+      callback && !callback.$ref ? mapValues(callback, mapPathItem) : callback,
+    );
+  const mapOperation = (operation) => ({
+    ...operation,
+    ...(operation.parameters ? { parameters: operation.parameters.map(mapParameter) } : {}),
+    ...(operation.requestBody ? { requestBody: mapBody(operation.requestBody) } : {}),
+    ...(operation.responses ? { responses: mapValues(operation.responses, mapBody) } : {}),
+    ...(operation.callbacks ? { callbacks: mapCallbacks(operation.callbacks) } : {}),
+  });
+  const mapPathItem = (pathItem) => {
+    if (!pathItem || typeof pathItem !== "object" || pathItem.$ref) return pathItem;
+    return mapValues(pathItem, (value, key) => {
+      if (key === "parameters" && Array.isArray(value)) return value.map(mapParameter);
+      if (HTTP_METHODS.includes(key) && value) return mapOperation(value);
+      return value;
+    });
+  };
+
+  const components = doc.components || {};
+  const mappers = {
+    schemas: (schema) => mapSchema(schema, fn),
+    parameters: mapParameter,
+    headers: mapParameter,
+    requestBodies: mapBody,
+    responses: mapBody,
+    callbacks: (callback) => (callback && !callback.$ref ? mapValues(callback, mapPathItem) : callback),
+    pathItems: mapPathItem,
+  };
+
+  return {
+    ...doc,
+    ...(doc.paths ? { paths: mapValues(doc.paths, mapPathItem) } : {}),
+    ...(doc.webhooks ? { webhooks: mapValues(doc.webhooks, mapPathItem) } : {}),
+    ...(doc.components
+      ? {
+          components: mapValues(components, (items, type) =>
+            mappers[type] && items && typeof items === "object" ? mapValues(items, mappers[type]) : items,
+          ),
+        }
+      : {}),
+  };
+};
+
+// Rewrite Swagger 2.0 local references to where the normalized document keeps them
+const rewriteSwaggerRefs = (value, bodyParameters) => {
+  if (Array.isArray(value)) return value.map((item) => rewriteSwaggerRefs(item, bodyParameters));
+  if (!value || typeof value !== "object") return value;
+
+  return mapValues(value, (item, key) => {
+    if (key !== "$ref" || typeof item !== "string") return rewriteSwaggerRefs(item, bodyParameters);
+    return item
+      .replace(/^#\/definitions\//, "#/components/schemas/")
+      .replace(/^#\/responses\//, "#/components/responses/")
+      .replace(/^#\/parameters\/(.*)$/, (match, name) =>
+        bodyParameters.has(name) ? `#/components/requestBodies/${name}` : `#/components/parameters/${name}`,
+      );
+  });
+};
+
+// Swagger 2.0 keeps simple parameter and header schemas inline
+const swaggerInlineSchema = ({ type, format, items, collectionFormat, ...rest }) => {
+  const schemaKeys = [
+    "default",
+    "maximum",
+    "exclusiveMaximum",
+    "minimum",
+    "exclusiveMinimum",
+    "maxLength",
+    "minLength",
+    "pattern",
+    "maxItems",
+    "minItems",
+    "uniqueItems",
+    "enum",
+    "multipleOf",
+  ];
+  const schema = { type: type === "file" ? "string" : type };
+  if (format || type === "file") schema.format = type === "file" ? "binary" : format;
+  if (items) schema.items = swaggerInlineSchema(items).schema;
+  const remaining = {};
+  for (const [key, value] of Object.entries(rest)) {
+    if (schemaKeys.includes(key)) schema[key] = value;
+    else remaining[key] = value;
+  }
+  return { schema, collectionFormat, remaining };
+};
+
+const COLLECTION_FORMAT_STYLES = {
+  csv: { style: "form", explode: false },
+  ssv: { style: "spaceDelimited", explode: false },
+  pipes: { style: "pipeDelimited", explode: false },
+  multi: { style: "form", explode: true },
+};
+
+const convertSwaggerParameter = (parameter) => {
+  if (!parameter || parameter.$ref) return parameter;
+  const { schema, collectionFormat, remaining } = swaggerInlineSchema(parameter);
+  const { allowEmptyValue, ...converted } = remaining;
+  if (allowEmptyValue !== undefined && parameter.in === "query") {
+    converted.allowEmptyValue = allowEmptyValue;
+  }
+  if (collectionFormat && parameter.in === "query") {
+    Object.assign(converted, COLLECTION_FORMAT_STYLES[collectionFormat] || {});
+  }
+  return { ...converted, schema };
+};
+
+const convertSwaggerHeader = (header) => {
+  const { schema, remaining } = swaggerInlineSchema(header);
+  return { ...remaining, schema };
+};
+
+const convertSwaggerResponse = (response, produces) => {
+  if (!response || response.$ref) return response;
+  const { schema, examples, headers, ...rest } = response;
+  const converted = { ...rest };
+  if (headers) converted.headers = mapValues(headers, convertSwaggerHeader);
+  if (schema || examples) {
+    const mediaTypes = [...new Set([...(schema ? produces : []), ...Object.keys(examples || {})])];
+    converted.content = Object.fromEntries(
+      mediaTypes.map((mediaType) => [
+        mediaType,
         {
-          type: "text",
-          text: toYaml(pathMap),
+          ...(schema ? { schema } : {}),
+          ...(examples?.[mediaType] !== undefined ? { example: examples[mediaType] } : {}),
         },
-      ],
-    };
-  },
-);
+      ]),
+    );
+  }
+  return converted;
+};
 
-// Get details for a specific endpoint
-server.tool(
-  "get-endpoint",
-  "Gets detailed information about a specific API endpoint",
-  {
-    openapiSchemaPath: z.string().describe("Path to the OpenAPI schema file"),
-    path: z.string(),
-    method: z.string()
-  },
-  ({ openapiSchemaPath, path, method }) => {
-    const openApiDoc = loadSchema(openapiSchemaPath);
-    const pathItem = openApiDoc.paths?.[path];
-    if (!pathItem) {
-      return { content: [{ type: "text", text: `Path ${path} not found` }] };
-    }
+// Turn a `body` parameter or a list of `formData` parameters into a request body
+const convertSwaggerBody = (parameters, consumes) => {
+  const body = parameters.find((parameter) => parameter.in === "body");
+  if (body) {
+    const { name, in: location, schema, required, description, ...rest } = body;
+    return {
+      ...(description ? { description } : {}),
+      ...(required ? { required } : {}),
+      content: Object.fromEntries(consumes.map((mediaType) => [mediaType, { schema }])),
+      ...rest,
+      "x-body-name": name,
+    };
+  }
 
-    const operation = pathItem[method.toLowerCase()];
-    if (!operation) {
-      return { content: [{ type: "text", text: `Method ${method} not found for path ${path}` }] };
-    }
+  const formData = parameters.filter((parameter) => parameter.in === "formData");
+  if (formData.length === 0) return undefined;
 
-    // Extract relevant information
-    const endpoint = {
-      path,
-      method: method.toUpperCase(),
-      summary: operation.summary,
-      description: operation.description,
-      tags: operation.tags,
-      parameters: operation.parameters,
-      requestBody: operation.requestBody,
-      responses: operation.responses,
-      security: operation.security,
-      deprecated: operation.deprecated,
+  const schema = { type: "object", properties: {} };
+  for (const parameter of formData) {
+    const converted = convertSwaggerParameter(parameter);
+    schema.properties[parameter.name] = {
+      ...converted.schema,
+      ...(parameter.description ? { description: parameter.description } : {}),
     };
+    if (parameter.required) (schema.required ??= []).push(parameter.name);
+  }
+  const formTypes = consumes.filter((mediaType) =>
+    ["multipart/form-data", "application/x-www-form-urlencoded"].includes(mediaType),
+  );
+  const hasFile = formData.some((parameter) => parameter.type === "file");
+  const mediaTypes = formTypes.length
+    ? formTypes
+    : [hasFile ? "multipart/form-data" : "application/x-www-form-urlencoded"];
 
+  return {
+    ...(formData.some((parameter) => parameter.required) ? { required: true } : {}),
+    content: Object.fromEntries(mediaTypes.map((mediaType) => [mediaType, { schema }])),
+  };
+};
+
+const OAUTH2_FLOWS = {
+  implicit: "implicit",
+  password: "password",
+  application: "clientCredentials",
+  accessCode: "authorizationCode",
+};
+
+const convertSwaggerSecurityScheme = (scheme) => {
+  if (scheme.type === "basic") {
+    return { type: "http", scheme: "basic", ...(scheme.description ? { description: scheme.description } : {}) };
+  }
+  if (scheme.type === "oauth2") {
+    const { flow, authorizationUrl, tokenUrl, scopes, ...rest } = scheme;
     return {
-      content: [
-        {
-          type: "text",
-          text: toYaml(endpoint),
+      ...rest,
+      flows: {
+        [OAUTH2_FLOWS[flow] || flow]: {
+          ...(authorizationUrl ? { authorizationUrl } : {}),
+          ...(tokenUrl ? { tokenUrl } : {}),
+          scopes: scopes || {},
         },
-      ],
+      },
     };
-  },
-);
+  }
+  return scheme;
+};
 
-// Get request body schema for a specific endpoint
-server.tool(
-  "get-request-body",
-  "Gets the request body schema for a specific endpoint",
-  {
-    openapiSchemaPath: z.string().describe("Path to the OpenAPI schema file"),
-    path: z.string(),
-    method: z.string()
-  },
-  ({ openapiSchemaPath, path, method }) => {
-    const openApiDoc = loadSchema(openapiSchemaPath);
-    const pathItem = openApiDoc.paths?.[path];
-    if (!pathItem) {
-      return { content: [{ type: "text", text: `Path ${path} not found` }] };
+// Convert a Swagger 2.0 document to the OpenAPI 3.0 layout
+const convertSwagger = (doc) => {
+  const {
+    swagger,
+    host,
+    basePath,
+    schemes,
+    consumes = ["application/json"],
+    produces = ["application/json"],
+    definitions,
+    parameters,
+    responses,
+    securityDefinitions,
+    paths,
+    ...rest
+  } = doc;
+
+  // Body parameters move to requestBodies, so references to them must follow
+  const bodyParameters = new Set(
+    Object.entries(parameters || {})
+      .filter(([, parameter]) => parameter.in === "body")
+      .map(([name]) => name),
+  );
+  const lookupParameter = (parameter) =>
+    parameter?.$ref?.startsWith("#/parameters/")
+      ? parameters?.[parameter.$ref.slice("#/parameters/".length)] || parameter
+      : parameter;
+
+  const servers = host
+    ? (schemes || ["https"]).map((scheme) => ({ url: `${scheme}://${host}${basePath || ""}` }))
+    : basePath
+      ? [{ url: basePath }]
+      : undefined;
+
+  const convertedPaths = mapValues(paths || {}, (pathItem) => {
+    if (!pathItem || pathItem.$ref) return pathItem;
+    const pathParameters = pathItem.parameters || [];
+
+    return mapValues(pathItem, (value, key) => {
+      if (key === "parameters") {
+        return value
+          .filter((parameter) => !["body", "formData"].includes(lookupParameter(parameter)?.in))
+          .map(convertSwaggerParameter);
+      }
+      if (!HTTP_METHODS.includes(key) || !value) return value;
+
+      const {
+        parameters: operationParameters = [],
+        consumes: operationConsumes,
+        produces: operationProduces,
+        responses: operationResponses,
+        ...operation
+      } = value;
+      // Operation parameters override path parameters, so look at them first
+      const allParameters = [...operationParameters, ...pathParameters];
+      const bodyParameter = allParameters.find((parameter) => lookupParameter(parameter)?.in === "body");
+      const otherParameters = operationParameters.filter(
+        (parameter) => !["body", "formData"].includes(lookupParameter(parameter)?.in),
+      );
+
+      // A referenced body parameter stays a reference, to the converted request body
+      const requestBody = bodyParameter?.$ref
+        ? { $ref: bodyParameter.$ref }
+        : convertSwaggerBody(allParameters.map(lookupParameter), operationConsumes || consumes);
+
+      return {
+        ...operation,
+        ...(otherParameters.length ? { parameters: otherParameters.map(convertSwaggerParameter) } : {}),
+        ...(requestBody ? { requestBody } : {}),
+        ...(operationResponses
+          ? {
+              responses: mapValues(operationResponses, (response) =>
+                convertSwaggerResponse(response, operationProduces || produces),
+              ),
+            }
+          : {}),
+      };
+    });
+  });
+
+  const components = {};
+  if (definitions) components.schemas = definitions;
+  const componentParameters = Object.entries(parameters || {});
+  if (componentParameters.some(([name]) => !bodyParameters.has(name))) {
+    components.parameters = Object.fromEntries(
+      componentParameters
+        .filter(([name]) => !bodyParameters.has(name))
+        .map(([name, parameter]) => [name, convertSwaggerParameter(parameter)]),
+    );
+  }
+  if (bodyParameters.size) {
+    components.requestBodies = Object.fromEntries(
+      [...bodyParameters].map((name) => [name, convertSwaggerBody([parameters[name]], consumes)]),
+    );
+  }
+  if (responses) {
+    components.responses = mapValues(responses, (response) => convertSwaggerResponse(response, produces));
+  }
+  if (securityDefinitions) {
+    components.securitySchemes = mapValues(securityDefinitions, convertSwaggerSecurityScheme);
+  }
+
+  const converted = rewriteSwaggerRefs(
+    {
+      ...rest,
+      ...(servers ? { servers } : {}),
+      paths: convertedPaths,
+      ...(Object.keys(components).length ? { components } : {}),
+    },
+    bodyParameters,
+  );
+
+  return mapDocumentSchemas(converted, (schema) => {
+    const { "x-nullable": nullable, discriminator, ...normalized } = schema;
+    if (nullable !== undefined) normalized.nullable = nullable;
+    if (typeof discriminator === "string") normalized.discriminator = { propertyName: discriminator };
+    else if (discriminator !== undefined) normalized.discriminator = discriminator;
+    if (normalized.type === "file") Object.assign(normalized, { type: "string", format: "binary" });
+    return normalized;
+  });
+};
+
+// Bring OpenAPI 3.1 schemas closer to their 3.0 equivalents so tools can treat them alike
+const normalizeSchema31 = (schema) => {
+  const normalized = { ...schema };
+
+  // type: [T, "null"] is how 3.1 spells a nullable T
+  if (Array.isArray(normalized.type)) {
+    const types = normalized.type.filter((type) => type !== "null");
+    if (types.length < normalized.type.length) normalized.nullable = true;
+    if (types.length === 1) normalized.type = types[0];
+    else if (types.length > 1) normalized.type = types;
+    else delete normalized.type;
+  }
+
+  // Numeric exclusive bounds replace the 3.0 boolean flags
+  for (const [exclusive, bound] of [
+    ["exclusiveMinimum", "minimum"],
+    ["exclusiveMaximum", "maximum"],
+  ]) {
+    if (typeof normalized[exclusive] === "number") {
+      normalized[bound] = normalized[exclusive];
+      normalized[exclusive] = true;
     }
+  }
 
-    const operation = pathItem[method.toLowerCase()];
-    if (!operation) {
-      return { content: [{ type: "text", text: `Method ${method} not found for path ${path}` }] };
+  if (Array.isArray(normalized.examples) && normalized.example === undefined) {
+    normalized.example = normalized.examples[0];
+  }
+
+  // In 3.1 keywords next to a $ref apply as well, which 3.0 expresses with allOf
+  if (typeof normalized.$ref === "string") {
+    const { $ref, description, ...siblings } = normalized;
+    if (Object.keys(siblings).length > 0) {
+      return { ...(description ? { description } : {}), allOf: [{ $ref }], ...siblings };
     }
+  }
 
-    const requestBody = operation.requestBody;
-    if (!requestBody) {
-      return { content: [{ type: "text", text: `No request body defined for ${method} ${path}` }] };
+  return normalized;
+};
+
+// Detect the specification version of a parsed document
+const detectVersion = (doc) => {
+  if (typeof doc?.swagger === "string") {
+    return { family: "swagger", version: doc.swagger, label: `Swagger ${doc.swagger}` };
+  }
+  const version = String(doc?.openapi ?? "unknown");
+  const family = version.startsWith("3.1") ? "openapi-3.1" : "openapi-3.0";
+  return { family, version, label: `OpenAPI ${version}` };
+};
+
+// Specification version of each normalized document
+const documentVersions = new WeakMap();
+
+// Bring a parsed Swagger 2.0, OpenAPI 3.0 or OpenAPI 3.1 document into the OpenAPI 3.0
+// layout that the tools work with. 3.1-only sections such as `webhooks` are kept.
+const normalizeDocument = (doc) => {
+  if (!doc || typeof doc !== "object") {
+    throw new Error("Schema file does not contain an OpenAPI document");
+  }
+
+  const version = detectVersion(doc);
+  let normalized = doc;
+  if (version.family === "swagger") {
+    normalized = convertSwagger(doc);
+  } else if (version.family === "openapi-3.1") {
+    normalized = mapDocumentSchemas(doc, normalizeSchema31);
+  }
+  if (!normalized.paths) normalized = { ...normalized, paths: {} };
+
+  documentVersions.set(normalized, version);
+  return normalized;
+};
+
+// Label of the specification version a document was written in, e.g. "OpenAPI 3.0.0"
+const specVersion = (openApiDoc) => documentVersions.get(openApiDoc)?.label || "OpenAPI";
+
+// Parsed schemas keyed by resolved path. Each entry holds the file's mtime when it was
+// parsed, the document as written (source), the normalized document and (once requested) the promise of its resolved $refs.
+const schemaCache = new Map();
+// File watchers keyed by watched file path, each with the cached schemas it invalidates
+const schemaWatchers = new Map();
+
+const invalidateSchema = (schemaPath) => {
+  if (!schemaCache.delete(schemaPath)) return;
+  console.error(`Schema changed: ${schemaPath}`);
+
+  // Let clients know that any data they fetched from this schema is stale
+  for (const server of connectedServers.keys()) {
+    server.server.sendResourceListChanged().catch((error) => {
+      console.error(`Error sending change notification: ${error.message}`);
+    });
+  }
+  notifyResourcesUpdated(schemaPath);
+};
+
+// Watch `file` and drop the cached schema at `schemaPath` when it changes. `file` is
+// either the schema itself or a file that it references.
+const watchSchemaFile = (file, schemaPath) => {
+  const existing = schemaWatchers.get(file);
+  if (existing) {
+    existing.schemaPaths.add(schemaPath);
+    return;
+  }
+
+  try {
+    const entry = { schemaPaths: new Set([schemaPath]), timer: undefined };
+    entry.watcher = watch(file, { persistent: false }, (eventType) => {
+      // Editors that save by renaming replace the file, so the watcher must be recreated
+      if (eventType === "rename") {
+        entry.watcher.close();
+        schemaWatchers.delete(file);
+      }
+      // Editors often write a file in several steps, so wait for them to settle
+      clearTimeout(entry.timer);
+      entry.timer = setTimeout(() => {
+        for (const path of entry.schemaPaths) invalidateSchema(path);
+      }, 100);
+    });
+    schemaWatchers.set(file, entry);
+  } catch (error) {
+    // The mtime check in loadSchema still catches changes without a watcher
+    console.error(`Unable to watch ${file}: ${error.message}`);
+  }
+};
+
+const loadSchema = (path) => {
+  const schemaPath = resolve(path);
+
+  try {
+    const { mtimeMs } = statSync(schemaPath);
+    const cached = schemaCache.get(schemaPath);
+    if (cached && cached.mtimeMs === mtimeMs) {
+      return cached.document;
     }
 
-    return {
-      content: [
-        {
-          type: "text",
-          text: toYaml(requestBody),
-        },
-      ],
-    };
-  },
+    // Read and parse the file synchronously
+    const fileContent = readFileSync(schemaPath, 'utf8');
+    const source = yaml.load(fileContent);
+    const parsedContent = normalizeDocument(source);
+    schemaCache.set(schemaPath, { mtimeMs, source, document: parsedContent });
+    watchSchemaFile(schemaPath, schemaPath);
+    return parsedContent;
+  } catch (error) {
+    // Missing and unparsable files are reported to the client only
+    if (error instanceof ToolError) throw error;
+    if (error.code === "ENOENT" || error.code === "EISDIR") {
+      throw new ToolError("spec_not_found", `Schema file ${schemaPath} not found`, {
+        path: schemaPath,
+      });
+    }
+    if (error instanceof yaml.YAMLException) {
+      throw new ToolError("parse_error", `Unable to parse ${schemaPath}: ${error.reason}`, {
+        path: schemaPath,
+        line: error.mark.line + 1,
+        column: error.mark.column + 1,
+      });
+    }
+    console.error(`Error loading schema ${schemaPath}:`, error);
+    throw new ToolError("parse_error", `Unable to load ${schemaPath}: ${error.message}`, {
+      path: schemaPath,
+    });
+  }
+};
+
+// The document at `path` as written, before normalization
+const loadSource = (path) => {
+  const schemaPath = resolve(path);
+  loadSchema(schemaPath);
+  return schemaCache.get(schemaPath).source;
+};
+
+// Resolve all $refs of the schema at `path`, including those in other files
+const loadRefs = (path) => {
+  const schemaPath = resolve(path);
+  loadSchema(schemaPath);
+
+  const cached = schemaCache.get(schemaPath);
+  if (!cached.refs) {
+    cached.refs = SwaggerParser.resolve(schemaPath).then(($refs) => {
+      for (const file of $refs.paths()) watchSchemaFile(file, schemaPath);
+      return $refs;
+    });
+    // Failures are not cached so that a fixed file is picked up on the next call
+    cached.refs.catch(() => delete cached.refs);
+  }
+  return cached.refs;
+};
+
+// Tools, resources and prompts are collected here and registered on the MCP server of each
+// client connection by createMcpServer
+const registrations = [];
+const registry = Object.fromEntries(
+  ["tool", "resource", "prompt"].map((kind) => [kind, (...args) => registrations.push((server) => server[kind](...args))]),
 );
 
-// Get response schema for a specific endpoint and status code
-server.tool(
-  "get-response-schema",
-  "Gets the response schema for a specific endpoint, method, and status code",
+// Helper to convert objects to YAML for better readability
+const toYaml = (obj) => yaml.dump(obj, { lineWidth: 100, noRefs: true });
+
+// Tool result holding `value`, which toolHandler renders in the requested output format.
+// Values taken from a spec are headed by its version. `context` is kept for the tool's views.
+const dataResult = (value, { openApiDoc, ...context } = {}) => ({
+  data: { value, openApiDoc, ...(openApiDoc ? { specVersion: specVersion(openApiDoc) } : {}), ...context },
+});
+
+const specResult = (openApiDoc, value, context) => dataResult(value, { openApiDoc, ...context });
+
+// Tool result with a short message, which JSON output returns as { message }
+const messageResult = (message) => dataResult({ message }, { message });
+
+const resolveRefsOption = z
+  .enum(["none", "one-level", "full"])
+  .default("none")
+  .describe(
+    "Inline $ref pointers: none, one-level (only refs in the requested object) or full (recursively)",
+  );
+
+// Arguments that name an operation, by operationId or by path and method
+const operationOptions = {
+  path: z.string().optional().describe("API path (or use operationId)"),
+  method: z.string().optional().describe("HTTP method (or use operationId)"),
+  operationId: z.string().optional().describe("operationId, instead of path and method"),
+};
+
+// Build a local JSON pointer reference such as #/components/schemas/Pet
+const jsonPointer = (...segments) =>
+  `#/${segments.map((segment) => String(segment).replace(/~/g, "~0").replace(/\//g, "~1")).join("/")}`;
+
+// Opaque pagination cursors, which encode a position as base64url JSON
+const encodeCursor = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    return JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch {
+    throw new ToolError("invalid_arguments", `Invalid cursor: ${cursor}`);
+  }
+};
+
+// Results cut off at --max-output, kept so that continue-output can return the rest. Only
+// the most recent ones are kept.
+const truncatedOutputs = new Map();
+const MAX_TRUNCATED_OUTPUTS = 20;
+let truncatedOutputId = 0;
+
+// End of the first `size` characters of `text` from `offset`, cut at a line break where possible
+const chunkEnd = (text, offset, size = maxOutput) => {
+  if (text.length - offset <= size) return text.length;
+  const limit = offset + size - 200;
+  const lineBreak = text.lastIndexOf("\n", limit);
+  return lineBreak > offset ? lineBreak + 1 : limit;
+};
+
+// The first --max-output characters of `text` from `offset`, with a notice and continuation
+// cursor when more text follows
+const outputChunk = (id, text, offset) => {
+  const end = chunkEnd(text, offset);
+  if (end === text.length) return text.slice(offset);
+  return `${text.slice(offset, end)}\n# Output truncated at ${end} of ${text.length} characters (--max-output ${maxOutput}). Call continue-output with cursor "${encodeCursor({ id, offset: end })}" for the rest, or narrow the request.\n`;
+};
+
+// Cut text results that are longer than --max-output. Structured content is left out of a cut
+// result, since it would be just as long.
+const truncateResult = (result) => {
+  if (!result?.content?.some((item) => item.type === "text" && item.text.length > maxOutput)) return result;
+  const { structuredContent, ...rest } = result;
+  return {
+    ...rest,
+    content: result.content.map((item) => {
+      if (item.type !== "text" || item.text.length <= maxOutput) return item;
+      const id = ++truncatedOutputId;
+      truncatedOutputs.set(id, item.text);
+      if (truncatedOutputs.size > MAX_TRUNCATED_OUTPUTS) truncatedOutputs.delete(truncatedOutputs.keys().next().value);
+      return { ...item, text: outputChunk(id, item.text, 0) };
+    }),
+  };
+};
+
+// Arguments of list tools for paging through their results
+const paginationOptions = {
+  limit: z.number().int().min(1).max(1000).default(100).describe("Maximum number of items to return"),
+  cursor: z.string().optional().describe("Cursor from a previous call, to get the next page (pass the same filters)"),
+};
+
+// Tool result for one page of `items`, whose value is `render(pageItems)`. toolHandler makes
+// the page smaller when its text would exceed --max-output, and says how to get the next page.
+const pagedResult = (items, { limit, cursor }, render, noun, openApiDoc) => {
+  const offset = cursor ? decodeCursor(cursor).offset : 0;
+  if (!Number.isInteger(offset) || offset < 0) throw new ToolError("invalid_arguments", `Invalid cursor: ${cursor}`);
+  return { pages: { items, offset, limit, render, noun, openApiDoc } };
+};
+
+// Data of the page of `count` items from `offset`
+const pageData = ({ items, offset, render, noun, openApiDoc }, count) => {
+  const page = items.slice(offset, offset + count);
+  const nextCursor = offset + count < items.length ? encodeCursor({ offset: offset + count }) : undefined;
+  return dataResult(render(page), {
+    openApiDoc,
+    page,
+    pagination: { noun, offset, count, total: items.length, ...(nextCursor ? { nextCursor } : {}) },
+  }).data;
+};
+
+// Closing line of a page that does not show every item, e.g. Operations: 1-100 of 250
+const paginationNote = ({ noun, offset, count, total, nextCursor }) => {
+  if (offset === 0 && !nextCursor) return "";
+  const shown = count > 0 ? `${offset + 1}-${offset + count}` : "none";
+  return `${noun}: ${shown} of ${total}${nextCursor ? `. Next page: cursor "${nextCursor}"` : ""}`;
+};
+
+// JSON form of result data, which is also returned as structured content
+const structuredData = ({ value, specVersion: version, pagination }) => {
+  const { noun, ...page } = pagination || {};
+  return {
+    ...(version ? { specVersion: version } : {}),
+    result: value,
+    ...(pagination ? { pagination: page } : {}),
+  };
+};
+
+// Text of result data in `format`. YAML and JSON work for every result, other formats are
+// rendered by the tool's `views`.
+const renderData = (data, format, views = {}) => {
+  if (format === "json") return JSON.stringify(structuredData(data));
+  const note = data.pagination ? paginationNote(data.pagination) : "";
+  if (data.message !== undefined) return data.message;
+  if (views[format]) return `${views[format](data).trimEnd()}\n${note && `\n${note}\n`}`;
+  return `${data.specVersion ? `# ${data.specVersion}\n` : ""}${toYaml(data.value)}${note && `# ${note}\n`}`;
+};
+
+// Tool result for a result of dataResult or pagedResult. Pages are made smaller until their
+// text fits in --max-output.
+const formatResult = (result, format, views) => {
+  let data = result.data;
+  let text;
+  if (result.pages) {
+    const { items, offset, limit } = result.pages;
+    let count = Math.min(limit, Math.max(items.length - offset, 0));
+    data = pageData(result.pages, count);
+    text = renderData(data, format, views);
+    while (text.length > maxOutput && count > 1) {
+      count = Math.max(1, Math.floor((count * maxOutput * 0.9) / text.length));
+      data = pageData(result.pages, count);
+      text = renderData(data, format, views);
+    }
+  } else {
+    text = renderData(data, format, views);
+  }
+  return {
+    content: [{ type: "text", text }],
+    ...(format === "json" ? { structuredContent: structuredData(data) } : {}),
+  };
+};
+
+// Output format argument of a tool. `views` are the formats it supports besides YAML and JSON.
+const formatOption = (...views) =>
+  z
+    .enum([...OUTPUT_FORMATS, ...views])
+    .optional()
+    .describe(
+      [
+        "Output format: yaml, json (also returned as structured content)",
+        ...(views.includes("markdown") ? ["markdown (tables)"] : []),
+        ...(views.includes("signature") ? ["signature (one compact line per operation)"] : []),
+        ...(views.includes("text") ? ["text (the text as it is)"] : []),
+      ].join(", ") + `. Defaults to ${views.includes("text") ? textDefaultFormat : defaultFormat}`,
+    );
+
+// Whether `name` matches the glob pattern `pattern` (case-insensitive); no pattern matches everything
+const matchesGlob = (pattern, ...names) =>
+  !pattern || names.some((name) => name !== undefined && globToRegExp(pattern, "i").test(name));
+
+// Tool result for an error. Unexpected errors are reported with the internal_error code.
+const errorResult = (error, format) => {
+  const { code, details } =
+    error instanceof ToolError ? error : { code: "internal_error", details: {} };
+  const value = { error: { code, message: error.message, ...details } };
+  return {
+    isError: true,
+    content: [{ type: "text", text: format === "json" ? JSON.stringify(value) : toYaml(value) }],
+    ...(format === "json" ? { structuredContent: value } : {}),
+  };
+};
+
+// Wrap a tool handler so that results of dataResult and pagedResult are rendered in the
+// requested format, with the markdown, signature or text rendering from `views`, and errors it
+// throws become error results
+const toolHandler = (handler, views = {}) => async (...args) => {
+  const format = args[0]?.format ?? (views.text ? textDefaultFormat : defaultFormat);
+  try {
+    const result = await handler(...args);
+    return truncateResult(result.data || result.pages ? formatResult(result, format, views) : result);
+  } catch (error) {
+    if (!(error instanceof ToolError)) console.error(error);
+    return errorResult(error, format);
+  }
+};
+
+// Look up the path item for `path`, or throw path_not_found with similar paths
+const findPathItem = (openApiDoc, path) => {
+  const pathItem = openApiDoc.paths?.[path];
+  if (!pathItem) {
+    throw new ToolError("path_not_found", `Path ${path} not found`, {
+      suggestions: closestMatches(path, Object.keys(openApiDoc.paths || {})),
+    });
+  }
+  return pathItem;
+};
+
+// Look up the operation for `method` on `path`, or throw path_not_found/method_not_found
+const findOperation = (openApiDoc, path, method) => {
+  const pathItem = findPathItem(openApiDoc, path);
+  const operation = HTTP_METHODS.includes(method.toLowerCase()) && pathItem[method.toLowerCase()];
+  if (!operation) {
+    const methods = HTTP_METHODS.filter((key) => pathItem[key]).map((key) => key.toUpperCase());
+    throw new ToolError("method_not_found", `Method ${method.toUpperCase()} not found for path ${path}`, {
+      suggestions: closestMatches(method.toUpperCase(), methods),
+      available: methods,
+    });
+  }
+  return operation;
+};
+
+// Look up an operation by operationId, or throw operation_not_found with similar ids
+const findOperationById = (openApiDoc, operationId) => {
+  const operations = listOperations(openApiDoc);
+  const found = operations.find(({ operation }) => operation.operationId === operationId);
+  if (!found) {
+    throw new ToolError("operation_not_found", `Operation ${operationId} not found`, {
+      suggestions: closestMatches(
+        operationId,
+        operations.map(({ operation }) => operation.operationId).filter(Boolean),
+      ),
+    });
+  }
+  return found;
+};
+
+// Look up the operation that tool arguments name, by operationId or by path and method
+const findTarget = (openApiDoc, { operationId, path, method }) => {
+  if (operationId) return findOperationById(openApiDoc, operationId);
+  if (path && method) {
+    return {
+      path,
+      method: method.toLowerCase(),
+      pathItem: findPathItem(openApiDoc, path),
+      operation: findOperation(openApiDoc, path, method),
+    };
+  }
+  throw new ToolError("invalid_arguments", "Either operationId or path and method are required");
+};
+
+// Look up a component by type and name, or throw component_not_found with similar names
+const findComponent = (openApiDoc, type, name) => {
+  const components = openApiDoc.components || {};
+  const componentType = components[type];
+  if (!componentType || typeof componentType !== "object") {
+    throw new ToolError("component_not_found", `Component type '${type}' not found`, {
+      suggestions: closestMatches(type, Object.keys(components)),
+      available: Object.keys(components),
+    });
+  }
+
+  const component = componentType[name];
+  if (!component) {
+    throw new ToolError("component_not_found", `Component '${name}' not found in '${type}'`, {
+      suggestions: closestMatches(name, Object.keys(componentType)),
+    });
+  }
+  return component;
+};
+
+// Every operation in the document's paths, in document order
+const listOperations = (openApiDoc) =>
+  Object.entries(openApiDoc.paths || {}).flatMap(([path, pathItem]) =>
+    HTTP_METHODS.filter((method) => pathItem?.[method]).map((method) => ({
+      path,
+      method,
+      pathItem,
+      operation: pathItem[method],
+    })),
+  );
+
+// Every operation of the document's webhooks (OpenAPI 3.1), in document order. Like the
+// entries of listOperations, with the webhook name as `path`.
+const listWebhooks = (openApiDoc) =>
+  Object.entries(openApiDoc.webhooks || {}).flatMap(([name, webhook]) => {
+    const pathItem = dereference(openApiDoc, webhook);
+    return HTTP_METHODS.filter((method) => pathItem?.[method]).map((method) => ({
+      name,
+      path: name,
+      method,
+      pathItem,
+      operation: pathItem[method],
+    }));
+  });
+
+// Look up a webhook operation by name and (optionally) method, or throw webhook_not_found
+// or method_not_found
+const findWebhook = (openApiDoc, name, method) => {
+  const webhooks = listWebhooks(openApiDoc);
+  const named = webhooks.filter((webhook) => webhook.name === name);
+  if (named.length === 0) {
+    const available = [...new Set(webhooks.map((webhook) => webhook.name))];
+    throw new ToolError("webhook_not_found", `Webhook '${name}' not found`, {
+      suggestions: closestMatches(name, available),
+      available,
+    });
+  }
+  const found = method ? named.find((webhook) => webhook.method === method.toLowerCase()) : named[0];
+  if (!found) {
+    const methods = named.map((webhook) => webhook.method.toUpperCase());
+    throw new ToolError("method_not_found", `Method ${method.toUpperCase()} not found for webhook ${name}`, {
+      suggestions: closestMatches(method.toUpperCase(), methods),
+      available: methods,
+    });
+  }
+  return found;
+};
+
+// The operations of an operation's callbacks, with the callback name and its runtime
+// expression (such as {$request.body#/callbackUrl}) as `path`
+const listCallbacks = (openApiDoc, operation) =>
+  Object.entries(operation.callbacks || {}).flatMap(([name, callback]) =>
+    Object.entries(dereference(openApiDoc, callback) || {}).flatMap(([expression, item]) => {
+      const pathItem = dereference(openApiDoc, item);
+      return HTTP_METHODS.filter((method) => pathItem?.[method]).map((method) => ({
+        name,
+        path: expression,
+        method,
+        pathItem,
+        operation: pathItem[method],
+      }));
+    }),
+  );
+
+// Look up a callback operation of `parent`, or throw callback_not_found
+const findCallback = (openApiDoc, parent, name, expression, method) => {
+  const callbacks = listCallbacks(openApiDoc, parent.operation);
+  const found = callbacks.find(
+    (callback) =>
+      callback.name === name &&
+      (!expression || callback.path === expression) &&
+      (!method || callback.method === method.toLowerCase()),
+  );
+  if (!found) {
+    throw new ToolError(
+      "callback_not_found",
+      `Callback '${name}'${expression ? ` ${expression}` : ""}${method ? ` ${method.toUpperCase()}` : ""} not found for ${parent.method.toUpperCase()} ${parent.path}`,
+      {
+        suggestions: closestMatches(name, [...new Set(callbacks.map((callback) => callback.name))]),
+        available: callbacks.map((callback) => `${callback.name}: ${callback.method.toUpperCase()} ${callback.path}`),
+      },
+    );
+  }
+  return found;
+};
+
+// The operation a link points to, by operationId or by a local operationRef such as
+// #/paths/~1pets~1{petId}/get
+const linkTarget = (openApiDoc, link) => {
+  if (link.operationId) {
+    return listOperations(openApiDoc).find(({ operation }) => operation.operationId === link.operationId);
+  }
+  const match = link.operationRef?.match(/^#\/paths\/([^/]+)\/([^/]+)$/);
+  if (!match) return undefined;
+  const path = decodeURIComponent(match[1]).replace(/~1/g, "/").replace(/~0/g, "~");
+  const operation = HTTP_METHODS.includes(match[2]) && openApiDoc.paths?.[path]?.[match[2]];
+  return operation ? { path, method: match[2], pathItem: openApiDoc.paths[path], operation } : undefined;
+};
+
+// The links of an operation's responses, with the operations they point to
+const describeLinks = (openApiDoc, operation) =>
+  Object.entries(operation.responses || {}).flatMap(([status, response]) =>
+    Object.entries(dereference(openApiDoc, response)?.links || {}).map(([name, value]) => {
+      const link = dereference(openApiDoc, value);
+      const target = linkTarget(openApiDoc, link);
+      return {
+        response: status,
+        name,
+        ...(target
+          ? { target: `${target.method.toUpperCase()} ${target.path}`, operationId: target.operation.operationId }
+          : { target: null, unresolved: link.operationId ?? link.operationRef ?? "the link names no operation" }),
+        ...(link.operationRef ? { operationRef: link.operationRef } : {}),
+        parameters: link.parameters,
+        requestBody: link.requestBody,
+        server: link.server?.url,
+        description: link.description,
+      };
+    }),
+  );
+
+// Names of all tags: the declared ones, then any others that operations use
+const tagNames = (openApiDoc) => [
+  ...new Set([
+    ...(openApiDoc.tags || []).map((tag) => tag.name),
+    ...listOperations(openApiDoc).flatMap(({ operation }) => operation.tags || []),
+  ]),
+];
+
+// A tag's declaration (if any) with the operations that use it
+const findTag = (openApiDoc, name) => {
+  const declared = (openApiDoc.tags || []).find((tag) => tag.name === name);
+  const operations = listOperations(openApiDoc).filter(({ operation }) => operation.tags?.includes(name));
+  if (!declared && operations.length === 0) {
+    const available = tagNames(openApiDoc);
+    throw new ToolError("tag_not_found", `Tag '${name}' not found`, {
+      suggestions: closestMatches(name, available),
+      available,
+    });
+  }
+  return {
+    ...declared,
+    name,
+    operations: operations.map(({ path, method, operation }) => ({
+      method: method.toUpperCase(),
+      path,
+      operationId: operation.operationId,
+      summary: operation.summary,
+    })),
+  };
+};
+
+// Parameters that apply to an operation: path-level ones, overridden by operation-level
+// ones with the same name and location. References are followed.
+const operationParameters = (openApiDoc, pathItem, operation) => {
+  const parameters = new Map();
+  for (const parameter of [...(pathItem?.parameters || []), ...(operation?.parameters || [])]) {
+    const resolved = dereference(openApiDoc, parameter);
+    if (resolved?.name) parameters.set(`${resolved.in}:${resolved.name}`, resolved);
+  }
+  return [...parameters.values()];
+};
+
+// Pick the media type entry of `content` for `contentType`, allowing wildcards such as
+// application/* on either side. Without a content type JSON is preferred.
+const selectMediaType = (content, contentType) => {
+  const entries = Object.entries(content || {});
+  if (entries.length === 0) return undefined;
+  if (!contentType) {
+    return entries.find(([type]) => /[/+]json\b/i.test(type)) || entries[0];
+  }
+
+  const wanted = contentType.split(";")[0].trim().toLowerCase();
+  const matches = (a, b) => {
+    const [typeA, subtypeA] = a.split("/");
+    const [typeB, subtypeB] = b.split("/");
+    return (
+      (typeA === typeB || typeA === "*" || typeB === "*") &&
+      (subtypeA === subtypeB || subtypeA === "*" || subtypeB === "*")
+    );
+  };
+  return (
+    entries.find(([type]) => type.toLowerCase() === wanted) ||
+    entries.find(([type]) => matches(type.split(";")[0].trim().toLowerCase(), wanted))
+  );
+};
+
+// Pick the response for `statusCode`: an exact match, then a range such as 2XX, then default
+const selectResponse = (responses, statusCode) => {
+  const code = String(statusCode);
+  const key = [code, `${code[0]}XX`, `${code[0]}xx`, "default"].find((candidate) => responses?.[candidate]);
+  return key ? [key, responses[key]] : undefined;
+};
+
+// Look up a local JSON pointer reference such as #/components/schemas/Pet in `doc`
+const resolvePointer = (doc, pointer) => {
+  const path = pointer.replace(/^#/, "");
+  const segments = path ? path.split("/").slice(1) : [];
+  let value = doc;
+  for (const segment of segments) {
+    const key = decodeURIComponent(segment).replace(/~1/g, "/").replace(/~0/g, "~");
+    if (!value || typeof value !== "object" || !(key in value)) {
+      throw new Error(`Reference ${pointer} not found`);
+    }
+    value = value[key];
+  }
+  return value;
+};
+
+// Follow local $refs from `value` until reaching an object that is not a reference.
+// Unresolvable and circular references are returned as they are.
+const dereference = (openApiDoc, value) => {
+  const seen = new Set();
+  let current = value;
+  while (typeof current?.$ref === "string" && current.$ref.startsWith("#") && !seen.has(current.$ref)) {
+    seen.add(current.$ref);
+    try {
+      current = resolvePointer(openApiDoc, current.$ref);
+    } catch {
+      return current;
+    }
+  }
+  return current;
+};
+
+// Turn a $ref found in `baseFile` into an absolute "file#pointer" reference
+const absoluteRef = (baseFile, ref) => {
+  const [file, pointer = ""] = ref.split("#");
+  return `${file ? resolve(dirname(baseFile), file) : baseFile}#${pointer}`;
+};
+
+// Inline $ref pointers in `value`, which was taken from the schema file at `schemaPath`.
+// Each inlined object is annotated with `x-resolved-from`, and references back into an
+// object that is already being inlined are left in place and marked with `x-circular-ref`.
+// `origin` is the reference of `value` itself, if it has one (e.g. a component). Mode
+// external only inlines references to other files, keeping those into the spec file as
+// local references.
+const inlineRefs = async (schemaPath, value, mode, origin) => {
+  if (mode === "none") return value;
+
+  const rootFile = resolve(schemaPath);
+  const openApiDoc = loadSchema(rootFile);
+  // A broken external file only affects the references into it
+  let $refs;
+  let refsError;
+  try {
+    $refs = await loadRefs(rootFile);
+  } catch (error) {
+    refsError = error;
+  }
+
+  const walk = (node, baseFile, stack, depth) => {
+    if (Array.isArray(node)) {
+      return node.map((item) => walk(item, baseFile, stack, depth));
+    }
+    if (!node || typeof node !== "object") return node;
+
+    if (typeof node.$ref !== "string") {
+      return Object.fromEntries(
+        Object.entries(node).map(([key, item]) => [key, walk(item, baseFile, stack, depth)]),
+      );
+    }
+
+    const { $ref, ...siblings } = node;
+    const target = absoluteRef(baseFile, $ref);
+    if (stack.includes(target)) {
+      return { $ref, "x-circular-ref": true, ...siblings };
+    }
+    if (mode === "one-level" && depth > 0) return node;
+    if (mode === "external" && target.startsWith(`${rootFile}#`)) {
+      return { ...node, $ref: target.slice(rootFile.length) };
+    }
+
+    // Local references point into the normalized document, which may differ from the file
+    let resolved;
+    try {
+      if (target.startsWith(`${rootFile}#`)) {
+        resolved = resolvePointer(openApiDoc, target.slice(rootFile.length));
+      } else if ($refs) {
+        resolved = $refs.get(target);
+      } else {
+        throw refsError;
+      }
+    } catch (error) {
+      return { ...node, "x-unresolved-ref": error.message };
+    }
+
+    return {
+      "x-resolved-from": $ref,
+      ...walk(resolved, target.split("#")[0], [...stack, target], depth + 1),
+      ...walk(siblings, baseFile, stack, depth),
+    };
+  };
+
+  return walk(value, rootFile, origin ? [absoluteRef(rootFile, origin)] : [], 0);
+};
+
+// Title, versions and default flag of registered specs, keyed by alias
+const describeSpecs = (aliases) => {
+  const result = {};
+
+  for (const alias of aliases) {
+    const entry = { path: specs.get(alias), default: alias === defaultSpec };
+    try {
+      const openApiDoc = loadSchema(entry.path);
+      entry.title = openApiDoc.info?.title;
+      entry.version = openApiDoc.info?.version;
+      entry.specVersion = specVersion(openApiDoc);
+    } catch (error) {
+      entry.error = error.message;
+    }
+    result[alias] = entry;
+  }
+
+  return result;
+};
+
+// List the specs registered at startup
+registry.tool(
+  "list-specs",
+  "Lists the OpenAPI specs this server provides, with the alias to pass to the other tools",
+  {
+    name: z.string().optional().describe("Only list aliases matching this glob pattern, e.g. pay*"),
+    ...paginationOptions,
+    format: formatOption(),
+  },
+  toolHandler(({ name, format, ...paging }) => {
+    const aliases = [...specs.keys()].filter((alias) => matchesGlob(name, alias));
+
+    return pagedResult(aliases, paging, describeSpecs, "Specs");
+  }),
+);
+
+// Short type of a schema for signatures and tables: the name of a referenced component, Item[]
+// for arrays, (A | B) for alternatives, otherwise the JSON type
+const schemaSignature = (schema, depth = 0) => {
+  if (!schema || typeof schema !== "object") return "any";
+  if (typeof schema.$ref === "string") return schema.$ref.split("/").pop().replace(/~1/g, "/").replace(/~0/g, "~");
+  const alternatives = schema.oneOf || schema.anyOf;
+  if (alternatives && depth < 3) return `(${alternatives.map((item) => schemaSignature(item, depth + 1)).join(" | ")})`;
+  if (schema.allOf && depth < 3) return schema.allOf.map((item) => schemaSignature(item, depth + 1)).join(" & ");
+  const types = [schema.type].flat().filter(Boolean);
+  if (types.includes("array")) return `${schemaSignature(schema.items, depth + 1)}[]`;
+  if (types.length) return types.join(" | ");
+  return schema.properties ? "object" : "any";
+};
+
+// Type of the preferred media type of a request body or response, if it has content
+const contentSignature = (openApiDoc, bodyOrResponse) => {
+  const selected = selectMediaType(dereference(openApiDoc, bodyOrResponse)?.content);
+  return selected ? schemaSignature(selected[1].schema) : undefined;
+};
+
+// One-line summary of an operation, e.g. POST /pets (body: NewPet) -> 201 Pet | 4XX Error.
+// Optional parameters are marked with ?.
+const operationSignature = (openApiDoc, { path, method, pathItem, operation }) => {
+  const inputs = operationParameters(openApiDoc, pathItem, operation).map(
+    (parameter) => `${parameter.name}${parameter.required ? "" : "?"}: ${schemaSignature(parameter.schema)}`,
+  );
+  const requestBody = dereference(openApiDoc, operation.requestBody);
+  if (requestBody) {
+    inputs.push(`body${requestBody.required ? "" : "?"}: ${contentSignature(openApiDoc, requestBody) ?? "any"}`);
+  }
+  const outputs = Object.entries(operation.responses || {}).map(([status, response]) =>
+    [status, contentSignature(openApiDoc, response)].filter(Boolean).join(" "),
+  );
+  return [
+    `${method.toUpperCase()} ${path}`,
+    ...(inputs.length ? [`(${inputs.join(", ")})`] : []),
+    ...(outputs.length ? [`-> ${outputs.join(" | ")}`] : []),
+    ...(operation.deprecated ? ["[deprecated]"] : []),
+  ].join(" ");
+};
+
+// Markdown table cell text, on one line and with pipes escaped
+const markdownCell = (value) =>
+  String(value ?? "")
+    .replace(/\s*\n\s*/g, " ")
+    .replace(/\|/g, "\\|");
+
+const markdownTable = (headers, rows) =>
+  [
+    `| ${headers.join(" | ")} |`,
+    `| ${headers.map(() => "---").join(" | ")} |`,
+    ...rows.map((row) => `| ${row.map(markdownCell).join(" | ")} |`),
+  ].join("\n");
+
+// Markdown table of parameters, following references
+const parameterTable = (openApiDoc, parameters) =>
+  markdownTable(
+    ["Name", "In", "Type", "Required", "Description"],
+    parameters
+      .map((parameter) => dereference(openApiDoc, parameter))
+      .map((parameter) => [
+        parameter.name,
+        parameter.in,
+        schemaSignature(parameter.schema),
+        parameter.required ? "yes" : "no",
+        parameter.description,
+      ]),
+  );
+
+// Markdown description of an operation with tables of its parameters and responses
+const operationMarkdown = (openApiDoc, { path, method, pathItem, operation }) => {
+  const parameters = operationParameters(openApiDoc, pathItem, operation);
+  const requestBody = dereference(openApiDoc, operation.requestBody);
+  const responses = Object.entries(operation.responses || {});
+  const links = describeLinks(openApiDoc, operation);
+  const callbacks = listCallbacks(openApiDoc, operation);
+  return [
+    `### ${method.toUpperCase()} ${path}${operation.deprecated ? " (deprecated)" : ""}`,
+    ...[operation.summary, operation.description].filter(Boolean),
+    ...(operation.operationId ? [`**Operation ID:** \`${operation.operationId}\``] : []),
+    ...(operation.tags?.length ? [`**Tags:** ${operation.tags.join(", ")}`] : []),
+    ...(parameters.length ? ["#### Parameters", parameterTable(openApiDoc, parameters)] : []),
+    ...(requestBody
+      ? [
+          "#### Request body",
+          markdownTable(
+            ["Content type", "Type", "Required"],
+            Object.entries(requestBody.content || {}).map(([type, media]) => [
+              type,
+              schemaSignature(media.schema),
+              requestBody.required ? "yes" : "no",
+            ]),
+          ),
+        ]
+      : []),
+    ...(responses.length
+      ? [
+          "#### Responses",
+          markdownTable(
+            ["Status", "Description", "Type"],
+            responses.map(([status, response]) => [
+              status,
+              dereference(openApiDoc, response)?.description,
+              contentSignature(openApiDoc, response) ?? "",
+            ]),
+          ),
+        ]
+      : []),
+    ...(links.length
+      ? [
+          "#### Links",
+          markdownTable(
+            ["Response", "Link", "Target", "Parameters"],
+            links.map((link) => [
+              link.response,
+              link.name,
+              link.target ?? `unresolved: ${link.unresolved}`,
+              Object.entries(link.parameters || {})
+                .map(([name, value]) => `${name} = ${typeof value === "string" ? value : JSON.stringify(value)}`)
+                .join(", "),
+            ]),
+          ),
+        ]
+      : []),
+    ...(callbacks.length
+      ? [
+          "#### Callbacks",
+          markdownTable(
+            ["Callback", "Method", "URL expression", "Summary"],
+            callbacks.map((callback) => [
+              callback.name,
+              callback.method.toUpperCase(),
+              callback.path,
+              callback.operation.summary,
+            ]),
+          ),
+        ]
+      : []),
+  ].join("\n\n");
+};
+
+// Views of results that hold operations, for the markdown and signature formats
+const operationListViews = {
+  markdown: ({ page }) =>
+    markdownTable(
+      ["Method", "Path", "Operation ID", "Summary"],
+      page.map(({ path, method, operation }) => [
+        method.toUpperCase(),
+        path,
+        operation.operationId,
+        `${operation.deprecated ? "(deprecated) " : ""}${operation.summary ?? ""}`,
+      ]),
+    ),
+  signature: ({ openApiDoc, page }) => page.map((target) => operationSignature(openApiDoc, target)).join("\n"),
+};
+
+// List all API paths and operations
+registry.tool(
+  "list-endpoints",
+  "Lists API paths and their HTTP methods with summaries, organized by path. Filters and pagination keep the output small for large specs",
+  {
+    spec: specOption,
+    tag: z.string().optional().describe("Only operations with this tag"),
+    pathPrefix: z.string().optional().describe("Only paths that start with this prefix, e.g. /users"),
+    method: z.string().optional().describe("Only operations with this HTTP method"),
+    deprecated: z.boolean().optional().describe("Only deprecated (true) or only current (false) operations"),
+    name: z.string().optional().describe("Glob pattern matched against the path and the operationId, e.g. *Pet*"),
+    ...paginationOptions,
+    format: formatOption("markdown", "signature"),
+  },
+  toolHandler(({ spec, tag, pathPrefix, method, deprecated, name, format, ...paging }) => {
+    const schemaPath = specPath(spec);
+    const openApiDoc = loadSchema(schemaPath);
+    const operations = listOperations(openApiDoc).filter(
+      (entry) =>
+        (!tag || entry.operation.tags?.includes(tag)) &&
+        (!pathPrefix || entry.path.startsWith(pathPrefix)) &&
+        (!method || entry.method === method.toLowerCase()) &&
+        (deprecated === undefined || !!entry.operation.deprecated === deprecated) &&
+        matchesGlob(name, entry.path, entry.operation.operationId),
+    );
+
+    return pagedResult(
+      operations,
+      paging,
+      (page) => {
+        // Group the operations by path, with the summary of each method
+        const pathMap = {};
+        for (const { path, method: operationMethod, operation } of page) {
+          pathMap[path] = { ...pathMap[path], [operationMethod.toUpperCase()]: operation.summary || "No summary" };
+        }
+        return pathMap;
+      },
+      "Operations",
+      openApiDoc,
+    );
+  }, operationListViews),
+);
+
+// The details of an operation that get-endpoint returns
+const describeEndpoint = (path, method, operation) => ({
+  path,
+  method: method.toUpperCase(),
+  operationId: operation.operationId,
+  summary: operation.summary,
+  description: operation.description,
+  tags: operation.tags,
+  parameters: operation.parameters,
+  requestBody: operation.requestBody,
+  responses: operation.responses,
+  callbacks: operation.callbacks,
+  security: operation.security,
+  deprecated: operation.deprecated,
+});
+
+// Views of results that hold one operation, for the markdown and signature formats
+const operationViews = {
+  markdown: ({ openApiDoc, target }) => operationMarkdown(openApiDoc, target),
+  signature: ({ openApiDoc, target }) => operationSignature(openApiDoc, target),
+};
+
+// get-endpoint and get-operation result for the operation that `selector` names. Response
+// links are also listed with the operations they point to.
+const endpointResult = async (spec, selector, resolveRefs) => {
+  const schemaPath = specPath(spec);
+  const openApiDoc = loadSchema(schemaPath);
+  const target = findTarget(openApiDoc, selector);
+  const endpoint = describeEndpoint(target.path, target.method, target.operation);
+  const links = describeLinks(openApiDoc, target.operation);
+
+  return specResult(
+    openApiDoc,
+    { ...(await inlineRefs(schemaPath, endpoint, resolveRefs)), ...(links.length ? { links } : {}) },
+    { target },
+  );
+};
+
+// Get details for a specific endpoint
+registry.tool(
+  "get-endpoint",
+  "Gets detailed information about a specific API endpoint, by path and method or by operationId",
+  {
+    spec: specOption,
+    ...operationOptions,
+    resolveRefs: resolveRefsOption,
+    format: formatOption("markdown", "signature"),
+  },
+  toolHandler(({ spec, resolveRefs, ...selector }) => endpointResult(spec, selector, resolveRefs), operationViews),
+);
+
+// Get an operation by its operationId
+registry.tool(
+  "get-operation",
+  "Gets detailed information about an operation by its operationId, as used by generated clients and docs",
+  {
+    spec: specOption,
+    operationId: z.string().describe("operationId of the operation"),
+    resolveRefs: resolveRefsOption,
+    format: formatOption("markdown", "signature"),
+  },
+  toolHandler(
+    ({ spec, operationId, resolveRefs }) => endpointResult(spec, { operationId }, resolveRefs),
+    operationViews,
+  ),
+);
+
+// List the webhooks of an OpenAPI 3.1 spec
+registry.tool(
+  "list-webhooks",
+  "Lists the webhooks (OpenAPI 3.1) an API sends, with their HTTP methods and summaries",
+  {
+    spec: specOption,
+    name: z.string().optional().describe("Only webhooks whose name matches this glob pattern"),
+    ...paginationOptions,
+    format: formatOption("markdown", "signature"),
+  },
+  toolHandler(({ spec, name, format, ...paging }) => {
+    const schemaPath = specPath(spec);
+    const openApiDoc = loadSchema(schemaPath);
+    const webhooks = listWebhooks(openApiDoc).filter((webhook) => matchesGlob(name, webhook.name));
+
+    if (webhooks.length === 0) {
+      return messageResult(name ? `No webhooks match ${name}` : "No webhooks defined in this API");
+    }
+
+    return pagedResult(
+      webhooks,
+      paging,
+      (page) => {
+        // Group the operations by webhook name, like list-endpoints
+        const result = {};
+        for (const { name: webhookName, method, operation } of page) {
+          result[webhookName] = { ...result[webhookName], [method.toUpperCase()]: operation.summary || "No summary" };
+        }
+        return result;
+      },
+      "Webhooks",
+      openApiDoc,
+    );
+  }, operationListViews),
+);
+
+// Get a webhook
+registry.tool(
+  "get-webhook",
+  "Gets detailed information about a webhook (OpenAPI 3.1): the request the API sends and the responses it expects",
+  {
+    spec: specOption,
+    name: z.string().describe("Webhook name (see list-webhooks)"),
+    method: z.string().optional().describe("HTTP method. Defaults to the webhook's first method"),
+    resolveRefs: resolveRefsOption,
+    format: formatOption("markdown", "signature"),
+  },
+  toolHandler(async ({ spec, name, method, resolveRefs }) => {
+    const schemaPath = specPath(spec);
+    const openApiDoc = loadSchema(schemaPath);
+    const target = findWebhook(openApiDoc, name, method);
+    const { path, ...webhook } = describeEndpoint(target.path, target.method, target.operation);
+
+    return specResult(
+      openApiDoc,
+      { webhook: name, ...(await inlineRefs(schemaPath, webhook, resolveRefs)) },
+      { target },
+    );
+  }, operationViews),
+);
+
+// Get an operation of a callback
+registry.tool(
+  "get-callback",
+  "Gets detailed information about a callback of an operation: the request the API sends to the URL of the callback's expression, and the responses it expects",
+  {
+    spec: specOption,
+    ...operationOptions,
+    callback: z.string().describe("Callback name, as listed under callbacks in get-endpoint"),
+    expression: z.string().optional().describe("URL expression of the callback. Defaults to the first one"),
+    callbackMethod: z.string().optional().describe("HTTP method of the callback request. Defaults to the first one"),
+    resolveRefs: resolveRefsOption,
+    format: formatOption("markdown", "signature"),
+  },
+  toolHandler(async ({ spec, path, method, operationId, callback, expression, callbackMethod, resolveRefs }) => {
+    const schemaPath = specPath(spec);
+    const openApiDoc = loadSchema(schemaPath);
+    const parent = findTarget(openApiDoc, { operationId, path, method });
+    const target = findCallback(openApiDoc, parent, callback, expression, callbackMethod);
+    const { path: callbackUrl, ...details } = describeEndpoint(target.path, target.method, target.operation);
+
+    return specResult(
+      openApiDoc,
+      {
+        operation: `${parent.method.toUpperCase()} ${parent.path}`,
+        callback,
+        expression: callbackUrl,
+        ...(await inlineRefs(schemaPath, details, resolveRefs)),
+      },
+      { target },
+    );
+  }, operationViews),
+);
+
+// List tags with their documentation and how many operations use them
+registry.tool(
+  "list-tags",
+  "Lists the tags that group the API's operations, with their descriptions, external docs and operation counts",
+  {
+    spec: specOption,
+    name: z.string().optional().describe("Only tags whose name matches this glob pattern"),
+    ...paginationOptions,
+    format: formatOption("markdown"),
+  },
+  toolHandler(
+    ({ spec, name, format, ...paging }) => {
+      const schemaPath = specPath(spec);
+      const openApiDoc = loadSchema(schemaPath);
+      const declared = new Set((openApiDoc.tags || []).map((tag) => tag.name));
+      const tags = tagNames(openApiDoc)
+        .filter((tagName) => matchesGlob(name, tagName))
+        .map((tagName) => findTag(openApiDoc, tagName));
+
+      if (tags.length === 0) {
+        return messageResult(name ? `No tags match ${name}` : "No tags are defined or used in this API");
+      }
+
+      return pagedResult(
+        tags,
+        paging,
+        (page) =>
+          Object.fromEntries(
+            page.map(({ name: tagName, description, externalDocs, operations }) => [
+              tagName,
+              {
+                description,
+                externalDocs,
+                operations: operations.length,
+                // Tags that operations use without declaring them in the top-level tags
+                ...(declared.has(tagName) ? {} : { declared: false }),
+              },
+            ]),
+          ),
+        "Tags",
+        openApiDoc,
+      );
+    },
+    {
+      markdown: ({ page }) =>
+        markdownTable(
+          ["Tag", "Operations", "Description", "Docs"],
+          page.map(({ name, description, externalDocs, operations }) => [
+            name,
+            operations.length,
+            description,
+            externalDocs?.url ?? "",
+          ]),
+        ),
+    },
+  ),
+);
+
+// Group name of operations without tags in list-operations-by-tag
+const UNTAGGED = "(untagged)";
+
+// Operation entries of a page of list-operations-by-tag, grouped by tag in page order
+const groupByTag = (page) => {
+  const groups = new Map();
+  for (const entry of page) groups.set(entry.tag, [...(groups.get(entry.tag) || []), entry]);
+  return [...groups];
+};
+
+// List operations grouped by tag
+registry.tool(
+  "list-operations-by-tag",
+  "Lists operations grouped by their tags, like list-endpoints. Operations with several tags are listed under each, and operations without tags under (untagged)",
+  {
+    spec: specOption,
+    tag: z.string().optional().describe("Only the operations with this tag"),
+    ...paginationOptions,
+    format: formatOption("markdown", "signature"),
+  },
+  toolHandler(
+    ({ spec, tag, format, ...paging }) => {
+      const schemaPath = specPath(spec);
+      const openApiDoc = loadSchema(schemaPath);
+      const operations = listOperations(openApiDoc);
+      if (tag) findTag(openApiDoc, tag);
+
+      const entries = [
+        ...tagNames(openApiDoc).flatMap((tagName) =>
+          operations
+            .filter(({ operation }) => operation.tags?.includes(tagName))
+            .map((entry) => ({ tag: tagName, ...entry })),
+        ),
+        ...operations.filter(({ operation }) => !operation.tags?.length).map((entry) => ({ tag: UNTAGGED, ...entry })),
+      ].filter((entry) => !tag || entry.tag === tag);
+
+      return pagedResult(
+        entries,
+        paging,
+        (page) => {
+          // For each tag, the operations grouped by path like list-endpoints
+          const result = {};
+          for (const { tag: tagName, path, method, operation } of page) {
+            result[tagName] ??= {};
+            result[tagName][path] = {
+              ...result[tagName][path],
+              [method.toUpperCase()]: operation.summary || "No summary",
+            };
+          }
+          return result;
+        },
+        "Operations",
+        openApiDoc,
+      );
+    },
+    {
+      markdown: ({ page }) =>
+        groupByTag(page)
+          .map(([tagName, group]) => `### ${tagName}\n\n${operationListViews.markdown({ page: group })}`)
+          .join("\n\n"),
+      signature: ({ openApiDoc, page }) =>
+        groupByTag(page)
+          .map(
+            ([tagName, group]) =>
+              `${tagName}:\n${group.map((target) => `  ${operationSignature(openApiDoc, target)}`).join("\n")}`,
+          )
+          .join("\n"),
+    },
+  ),
+);
+
+// Get request body schema for a specific endpoint
+registry.tool(
+  "get-request-body",
+  "Gets the request body schema for a specific endpoint",
+  {
+    spec: specOption,
+    ...operationOptions,
+    resolveRefs: resolveRefsOption,
+    format: formatOption(),
+  },
+  toolHandler(async ({ spec, path, method, operationId, resolveRefs }) => {
+    const schemaPath = specPath(spec);
+    const openApiDoc = loadSchema(schemaPath);
+    const target = findTarget(openApiDoc, { operationId, path, method });
+
+    const requestBody = target.operation.requestBody;
+    if (!requestBody) {
+      return messageResult(`No request body defined for ${target.method.toUpperCase()} ${target.path}`);
+    }
+
+    return specResult(openApiDoc, await inlineRefs(schemaPath, requestBody, resolveRefs));
+  }),
+);
+
+// Get response schema for a specific endpoint and status code
+registry.tool(
+  "get-response-schema",
+  "Gets the response schema for a specific endpoint (by path and method or by operationId) and status code",
+  {
+    spec: specOption,
+    ...operationOptions,
+    statusCode: z.string().default("200"),
+    resolveRefs: resolveRefsOption,
+    format: formatOption(),
+  },
+  toolHandler(async ({ spec, path, method, operationId, statusCode, resolveRefs }) => {
+    const schemaPath = specPath(spec);
+    const openApiDoc = loadSchema(schemaPath);
+    const target = findTarget(openApiDoc, { operationId, path, method });
+    const operationName = `${target.method.toUpperCase()} ${target.path}`;
+
+    const responses = target.operation.responses;
+    if (!responses) {
+      return messageResult(`No responses defined for ${operationName}`);
+    }
+
+    const [, response] = selectResponse(responses, statusCode) || [];
+    if (!response) {
+      throw new ToolError(
+        "response_not_found",
+        `No response for status code ${statusCode} (or its range or default) found for ${operationName}`,
+        { available: Object.keys(responses) },
+      );
+    }
+
+    return specResult(openApiDoc, await inlineRefs(schemaPath, response, resolveRefs));
+  }),
+);
+
+// Get parameters for a specific path
+registry.tool(
+  "get-path-parameters",
+  "Gets the parameters for a specific path, or for an operation by path and method or by operationId",
+  {
+    spec: specOption,
+    path: z.string().optional().describe("API path (or use operationId)"),
+    method: z.string().optional().describe("HTTP method, to include the operation's parameters"),
+    operationId: z.string().optional().describe("operationId, instead of path and method"),
+    format: formatOption("markdown"),
+  },
+  toolHandler(({ spec, path, method, operationId }) => {
+    const schemaPath = specPath(spec);
+    const openApiDoc = loadSchema(schemaPath);
+    if (operationId) ({ path, method } = findOperationById(openApiDoc, operationId));
+    if (!path) throw new ToolError("invalid_arguments", "Either path or operationId is required");
+    const pathItem = findPathItem(openApiDoc, path);
+
+    let parameters = [...(pathItem.parameters || [])];
+
+    // If method is specified, add method-specific parameters
+    if (method) {
+      const operation = findOperation(openApiDoc, path, method);
+      if (operation.parameters) {
+        parameters = [...parameters, ...operation.parameters];
+      }
+    }
+
+    if (parameters.length === 0) {
+      return messageResult(`No parameters found for ${method ? `${method.toUpperCase()} ` : ""}${path}`);
+    }
+
+    return specResult(openApiDoc, parameters);
+  }, { markdown: ({ openApiDoc, value }) => parameterTable(openApiDoc, value) }),
+);
+
+// List all components
+registry.tool(
+  "list-components",
+  "Lists all schema components (schemas, parameters, responses, etc.)",
+  {
+    spec: specOption,
+    type: z.string().optional().describe("Only components of this type, e.g. schemas"),
+    name: z.string().optional().describe("Only components whose name matches this glob pattern, e.g. *Error*"),
+    ...paginationOptions,
+    format: formatOption(),
+  },
+  toolHandler(({ spec, type, name, format, ...paging }) => {
+    const schemaPath = specPath(spec);
+    const openApiDoc = loadSchema(schemaPath);
+    const components = Object.entries(openApiDoc.components || {})
+      .filter(([componentType, items]) => items && typeof items === "object" && (!type || componentType === type))
+      .flatMap(([componentType, items]) =>
+        Object.keys(items)
+          .filter((componentName) => matchesGlob(name, componentName))
+          .map((componentName) => [componentType, componentName]),
+      );
+
+    return pagedResult(
+      components,
+      paging,
+      (page) => {
+        // For each component type, list the names
+        const result = {};
+        for (const [componentType, componentName] of page) {
+          result[componentType] = [...(result[componentType] || []), componentName];
+        }
+        return result;
+      },
+      "Components",
+      openApiDoc,
+    );
+  }),
+);
+
+// Get a specific component
+registry.tool(
+  "get-component",
+  "Gets detailed definition for a specific component",
+  {
+    spec: specOption,
+    type: z.string().describe("Component type (e.g., schemas, parameters, responses)"),
+    name: z.string().describe("Component name"),
+    resolveRefs: resolveRefsOption,
+    format: formatOption(),
+  },
+  toolHandler(async ({ spec, type, name, resolveRefs }) => {
+    const schemaPath = specPath(spec);
+    const openApiDoc = loadSchema(schemaPath);
+    const component = findComponent(openApiDoc, type, name);
+
+    return specResult(
+      openApiDoc,
+      await inlineRefs(schemaPath, component, resolveRefs, jsonPointer("components", type, name)),
+    );
+  }),
+);
+
+// Reference graphs per loaded document, built on first use
+const refGraphs = new WeakMap();
+
+// How a $ref at `segments` (relative to the operation or component that contains it) uses
+// its target, e.g. "response 200", "parameter limit" or "property category"
+const refUsage = (source, segments) => {
+  const [first, second, third, fourth] = segments;
+  if (first === "parameters" && source.parameters) {
+    return `parameter ${dereference(source.openApiDoc, source.parameters[second])?.name ?? second}`;
+  }
+  if (first === "requestBody") return "request body";
+  if (first === "responses") return third === "headers" ? `response ${second} header ${fourth}` : `response ${second}`;
+  if (first === "callbacks") return `callback ${second}`;
+  const property = segments.lastIndexOf("properties");
+  if (property >= 0 && segments[property + 1] !== undefined) return `property ${segments[property + 1]}`;
+  return first ?? "reference";
+};
+
+// Graph of the local $refs between operations, webhooks and components. Each node ("GET /pets",
+// "POST newPet (webhook)" or "schemas/Pet") has the edges to the components it references (uses) and from the nodes
+// that reference it (usedBy), with the JSON pointer location of the $ref. Operations also
+// use the security schemes of their security requirements.
+const buildRefGraph = (openApiDoc) => {
+  const nodes = new Map();
+  const addNode = (name, kind, location) => nodes.set(name, { name, kind, location, uses: [], usedBy: [] });
+
+  for (const [type, items] of Object.entries(openApiDoc.components || {})) {
+    if (!items || typeof items !== "object") continue;
+    for (const name of Object.keys(items)) addNode(`${type}/${name}`, "component", jsonPointer("components", type, name));
+  }
+
+  const addEdge = (from, to, location, as) => {
+    const target = nodes.get(to);
+    if (!target) return;
+    const edge = { from: from.name, to, location, as };
+    from.uses.push(edge);
+    target.usedBy.push(edge);
+  };
+
+  // Add an edge for every local component $ref in `value`, found at `base` + `segments`
+  const walk = (value, from, source, base, segments) => {
+    if (!value || typeof value !== "object") return;
+    if (typeof value.$ref === "string") {
+      const match = value.$ref.match(/^#\/components\/([^/]+)\/([^/]+)/);
+      if (match) {
+        const [, type, name] = match.map((part) => decodeURIComponent(part).replace(/~1/g, "/").replace(/~0/g, "~"));
+        addEdge(from, `${type}/${name}`, jsonPointer(...base, ...segments), refUsage(source, segments));
+      }
+    }
+    for (const [key, item] of Object.entries(value)) walk(item, from, source, base, [...segments, key]);
+  };
+
+  const operations = [
+    ...listOperations(openApiDoc).map((entry) => ({ ...entry, kind: "operation", root: "paths" })),
+    ...listWebhooks(openApiDoc).map((entry) => ({ ...entry, kind: "webhook", root: "webhooks" })),
+  ];
+  for (const { path, method, pathItem, operation, kind, root } of operations) {
+    const name = `${method.toUpperCase()} ${path}${kind === "webhook" ? " (webhook)" : ""}`;
+    addNode(name, kind, jsonPointer(root, path, method));
+    const from = nodes.get(name);
+    walk(operation, from, { openApiDoc, parameters: operation.parameters }, [root, path, method], []);
+    // Path-level parameters apply to every operation of the path
+    walk({ parameters: pathItem.parameters }, from, { openApiDoc, parameters: pathItem.parameters }, [root, path], []);
+
+    const securityLocation = operation.security ? jsonPointer(root, path, method, "security") : "#/security";
+    for (const requirement of operationSecurity(openApiDoc, operation)) {
+      for (const schemeName of Object.keys(requirement)) {
+        addEdge(from, `securitySchemes/${schemeName}`, securityLocation, "security");
+      }
+    }
+  }
+
+  for (const node of [...nodes.values()].filter(({ kind }) => kind === "component")) {
+    const [type, ...rest] = node.name.split("/");
+    const name = rest.join("/");
+    const component = openApiDoc.components[type][name];
+    const parameters = type === "pathItems" ? component?.parameters : undefined;
+    walk(component, node, { openApiDoc, parameters }, ["components", type, name], []);
+  }
+
+  // Components that no operation reaches, directly or through other components
+  const used = new Set();
+  const pending = [...nodes.values()].filter(({ kind }) => kind === "operation" || kind === "webhook");
+  while (pending.length > 0) {
+    for (const { to } of pending.pop().uses) {
+      if (!used.has(to)) {
+        used.add(to);
+        pending.push(nodes.get(to));
+      }
+    }
+  }
+  const unused = [...nodes.values()].filter(({ kind, name }) => kind === "component" && !used.has(name)).map(({ name }) => name);
+
+  return { nodes, unused, cycles: findCycles(nodes) };
+};
+
+// Groups of components that reference each other in a cycle (strongly connected
+// components of the reference graph with more than one member, or a reference to itself)
+const findCycles = (nodes) => {
+  const index = new Map();
+  const lowLink = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const cycles = [];
+
+  const visit = (name) => {
+    index.set(name, index.size);
+    lowLink.set(name, index.get(name));
+    stack.push(name);
+    onStack.add(name);
+    for (const { to } of nodes.get(name).uses) {
+      if (!index.has(to)) {
+        visit(to);
+        lowLink.set(name, Math.min(lowLink.get(name), lowLink.get(to)));
+      } else if (onStack.has(to)) {
+        lowLink.set(name, Math.min(lowLink.get(name), index.get(to)));
+      }
+    }
+    if (lowLink.get(name) === index.get(name)) {
+      const group = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        group.push(member);
+      } while (member !== name);
+      if (group.length > 1 || nodes.get(name).uses.some(({ to }) => to === name)) cycles.push(group.reverse());
+    }
+  };
+
+  for (const [name, { kind }] of nodes) if (kind === "component" && !index.has(name)) visit(name);
+  return cycles;
+};
+
+const refGraph = (openApiDoc) => {
+  if (!refGraphs.has(openApiDoc)) refGraphs.set(openApiDoc, buildRefGraph(openApiDoc));
+  return refGraphs.get(openApiDoc);
+};
+
+// Nodes reached from `start` by following `direction` edges (uses or usedBy), nearest
+// first. Each comes with the edge that reached it and the nodes in between (via); a node
+// that references the previous one in several places is listed once for each.
+const traverseRefs = (graph, start, direction, transitive) => {
+  const reached = [];
+  const reachedFrom = new Map([[start.name, undefined]]);
+  const queue = [{ node: start, via: [] }];
+  while (queue.length > 0) {
+    const { node, via } = queue.shift();
+    for (const edge of node[direction]) {
+      const name = direction === "uses" ? edge.to : edge.from;
+      if (reachedFrom.has(name) && reachedFrom.get(name) !== node.name) continue;
+      const next = graph.nodes.get(name);
+      reached.push({ node: next, edge, via });
+      if (reachedFrom.has(name)) continue;
+      reachedFrom.set(name, node.name);
+      if (transitive) queue.push({ node: next, via: [...via, name] });
+    }
+  }
+  return reached;
+};
+
+// The graph node of a component, or throw component_not_found
+const componentNode = (openApiDoc, type, name) => {
+  findComponent(openApiDoc, type, name);
+  return refGraph(openApiDoc).nodes.get(`${type}/${name}`);
+};
+
+// The reference cycle a node is part of, if any
+const cycleOf = (graph, name) => graph.cycles.find((cycle) => cycle.includes(name));
+
+// List what references a component
+registry.tool(
+  "component-usages",
+  "Lists the operations, parameters, responses and other components that reference a component, directly or through other components, to judge the impact of changing it. Without a name, lists the components nothing uses and the reference cycles",
+  {
+    spec: specOption,
+    type: z.string().default("schemas").describe("Component type (e.g., schemas, parameters, responses)"),
+    name: z.string().optional().describe("Component name"),
+    transitive: z.boolean().default(true).describe("Also list what references the component through other components"),
+    ...paginationOptions,
+    format: formatOption(),
+  },
+  toolHandler(({ spec, type, name, transitive, format, ...paging }) => {
+    const schemaPath = specPath(spec);
+    const openApiDoc = loadSchema(schemaPath);
+    const graph = refGraph(openApiDoc);
+
+    if (!name) {
+      return specResult(openApiDoc, {
+        components: [...graph.nodes.values()].filter(({ kind }) => kind === "component").length,
+        unused: graph.unused,
+        cycles: graph.cycles,
+      });
+    }
+
+    const node = componentNode(openApiDoc, type, name);
+    const usages = traverseRefs(graph, node, "usedBy", transitive);
+    const cycle = cycleOf(graph, node.name);
+    const count = (kind) => new Set(usages.filter(({ node: user }) => user.kind === kind).map(({ node: user }) => user)).size;
+    return pagedResult(
+      usages,
+      paging,
+      (page) => ({
+        component: node.name,
+        location: node.location,
+        ...(graph.unused.includes(node.name) ? { unused: true } : {}),
+        ...(cycle ? { cycle } : {}),
+        operations: count("operation"),
+        ...(count("webhook") ? { webhooks: count("webhook") } : {}),
+        components: count("component"),
+        usages: page.map(({ node: user, edge, via }) => ({
+          name: user.name,
+          kind: user.kind,
+          as: edge.as,
+          location: edge.location,
+          ...(via.length ? { via: [...via].reverse() } : {}),
+        })),
+      }),
+      "Usages",
+      openApiDoc,
+    );
+  }),
+);
+
+// List what a component or operation references
+registry.tool(
+  "component-dependencies",
+  "Lists the components a component or operation references, directly or through other components, and flags reference cycles",
+  {
+    spec: specOption,
+    type: z.string().default("schemas").describe("Component type (e.g., schemas, parameters, responses)"),
+    name: z.string().optional().describe("Component name (or use operationId, or path and method)"),
+    ...operationOptions,
+    transitive: z.boolean().default(true).describe("Also list the dependencies of dependencies"),
+    ...paginationOptions,
+    format: formatOption(),
+  },
+  toolHandler(({ spec, type, name, path, method, operationId, transitive, format, ...paging }) => {
+    const schemaPath = specPath(spec);
+    const openApiDoc = loadSchema(schemaPath);
+    const graph = refGraph(openApiDoc);
+
+    let node;
+    if (name) {
+      node = componentNode(openApiDoc, type, name);
+    } else {
+      const target = findTarget(openApiDoc, { operationId, path, method });
+      node = graph.nodes.get(`${target.method.toUpperCase()} ${target.path}`);
+    }
+    const dependencies = traverseRefs(graph, node, "uses", transitive);
+    const cycles = [...new Set([node.name, ...dependencies.map(({ node: dependency }) => dependency.name)])]
+      .map((dependency) => cycleOf(graph, dependency))
+      .filter((cycle, i, all) => cycle && all.indexOf(cycle) === i);
+
+    return pagedResult(
+      dependencies,
+      paging,
+      (page) => ({
+        [node.kind]: node.name,
+        location: node.location,
+        ...(cycles.length ? { cycles } : {}),
+        dependencies: page.map(({ node: dependency, edge, via }) => ({
+          name: dependency.name,
+          as: edge.as,
+          location: edge.location,
+          ...(via.length ? { via } : {}),
+        })),
+      }),
+      "Dependencies",
+      openApiDoc,
+    );
+  }),
+);
+
+// Schema components that discriminator mappings in `value` name, e.g. "Dog" or
+// "#/components/schemas/Dog"
+const discriminatorTargets = (value) => {
+  if (!value || typeof value !== "object") return [];
+  const mapping = value.discriminator?.mapping;
+  return [
+    ...Object.values(mapping && typeof mapping === "object" ? mapping : {})
+      .map(String)
+      .map((target) => target.match(/^#\/components\/schemas\/(.+)$/)?.[1] ?? (target.includes("/") ? undefined : target))
+      .filter(Boolean)
+      .map((name) => `schemas/${name.replace(/~1/g, "/").replace(/~0/g, "~")}`),
+    ...Object.values(value).flatMap(discriminatorTargets),
+  ];
+};
+
+// A standalone document with the `selected` operations of the spec at `schemaPath`, the
+// components, security schemes and tags they need, transitively. OpenAPI 3 specs are
+// copied as written; Swagger 2.0 specs as converted to OpenAPI 3.0.
+const extractSubset = async (schemaPath, selected) => {
+  const openApiDoc = loadSchema(schemaPath);
+  const source = documentVersions.get(openApiDoc)?.family === "swagger"
+    ? { openapi: "3.0.3", ...openApiDoc }
+    : loadSource(schemaPath);
+
+  const paths = {};
+  for (const { path, method } of selected) {
+    const pathItem = dereference(source, source.paths[path]);
+    paths[path] ??= Object.fromEntries(Object.entries(pathItem).filter(([key]) => !HTTP_METHODS.includes(key)));
+    paths[path][method] = pathItem[method];
+  }
+
+  // References to other files are inlined, so that the graph sees what they reference
+  const { webhooks, ...rest } = source;
+  const document = await inlineRefs(schemaPath, { ...rest, paths }, "external");
+
+  // Components that the operations and the top-level security reach, and those that
+  // discriminator mappings name
+  const graph = buildRefGraph(document);
+  const included = new Set();
+  const pending = [...graph.nodes.values()].filter(({ kind }) => kind === "operation");
+  const include = (name) => {
+    if (included.has(name) || !graph.nodes.has(name)) return;
+    included.add(name);
+    pending.push(graph.nodes.get(name));
+  };
+  for (const requirement of document.security || []) {
+    for (const name of Object.keys(requirement)) include(`securitySchemes/${name}`);
+  }
+  for (const target of discriminatorTargets(document.paths)) include(target);
+  while (pending.length > 0) {
+    const node = pending.pop();
+    for (const { to } of node.uses) include(to);
+    if (node.kind === "component") {
+      const [type, ...name] = node.name.split("/");
+      for (const target of discriminatorTargets(document.components[type][name.join("/")])) include(target);
+    }
+  }
+
+  const components = Object.fromEntries(
+    Object.entries(document.components || {})
+      .map(([type, items]) => [
+        type,
+        Object.fromEntries(Object.entries(items || {}).filter(([name]) => included.has(`${type}/${name}`))),
+      ])
+      .filter(([, items]) => Object.keys(items).length > 0),
+  );
+  const usedTags = new Set(selected.flatMap(({ operation }) => operation.tags || []));
+  const tags = (document.tags || []).filter((tag) => usedTags.has(tag.name));
+
+  return Object.fromEntries(
+    Object.entries({ ...document, tags, components }).filter(
+      ([key, value]) => !(["tags", "components"].includes(key) && Object.keys(value).length === 0),
+    ),
+  );
+};
+
+// Path of an output file, which must be in the output directory. Directory links are
+// followed and the file may not be a link, so that no link can lead out of the directory.
+const outputPath = (output) => {
+  const file = resolve(outputDir, output);
+  const outside = (path, directory = outputDir) => {
+    const relativePath = relative(directory, path);
+    return !relativePath || relativePath === ".." || relativePath.startsWith(`..${sep}`) || isAbsolute(relativePath);
+  };
+  let linked;
+  try {
+    if (lstatSync(file, { throwIfNoEntry: false })?.isSymbolicLink()) {
+      throw new ToolError("invalid_arguments", `Output must not be a symbolic link: ${output}`);
+    }
+    linked = join(realpathSync(dirname(file)), basename(file));
+  } catch (error) {
+    if (error instanceof ToolError) throw error;
+    throw new ToolError("write_failed", `Unable to write ${output}: ${error.message}`);
+  }
+  if (outside(file) || outside(linked, realpathSync(outputDir))) {
+    throw new ToolError("invalid_arguments", `Output must be a file in the output directory: ${output}`);
+  }
+  return linked;
+};
+
+// Extract the operations chosen by operationId, tag or path prefix as a standalone spec
+registry.tool(
+  "extract-subset",
+  `Extracts a standalone OpenAPI document with the chosen operations (by operationId, tag or path prefix) and the components, security schemes and tags they need, transitively. ${outputDir ? "Returns it inline, or writes it as YAML or JSON to a file in the output directory" : "Returns it inline"}`,
+  {
+    spec: specOption,
+    operationIds: z.array(z.string()).optional().describe("Operations to include, by operationId"),
+    tags: z.array(z.string()).optional().describe("Include the operations with any of these tags"),
+    pathPrefixes: z.array(z.string()).optional().describe("Include the operations of paths that start with any of these prefixes"),
+    // Files can only be written where the operator allowed it with --output-dir
+    ...(outputDir
+      ? {
+          output: z
+            .string()
+            .optional()
+            .describe("File to write, relative to the output directory. .json writes JSON, .yaml or .yml YAML"),
+          overwrite: z.boolean().default(false).describe("Replace the output file if it exists"),
+        }
+      : {}),
+    format: formatOption(),
+  },
+  toolHandler(async ({ spec, operationIds = [], tags = [], pathPrefixes = [], output, overwrite }) => {
+    const schemaPath = specPath(spec);
+    const openApiDoc = loadSchema(schemaPath);
+    if (operationIds.length + tags.length + pathPrefixes.length === 0) {
+      throw new ToolError("invalid_arguments", "Pass operationIds, tags or pathPrefixes to choose operations");
+    }
+
+    // Unknown names fail like in the lookup tools
+    for (const operationId of operationIds) findOperationById(openApiDoc, operationId);
+    for (const tag of tags) findTag(openApiDoc, tag);
+    const operations = listOperations(openApiDoc);
+    for (const prefix of pathPrefixes) {
+      if (!operations.some(({ path }) => path.startsWith(prefix))) {
+        throw new ToolError("path_not_found", `No path starts with ${prefix}`, {
+          suggestions: closestMatches(prefix, Object.keys(openApiDoc.paths)),
+        });
+      }
+    }
+
+    const selected = operations.filter(
+      ({ path, operation }) =>
+        operationIds.includes(operation.operationId) ||
+        operation.tags?.some((tag) => tags.includes(tag)) ||
+        pathPrefixes.some((prefix) => path.startsWith(prefix)),
+    );
+    const subset = await extractSubset(schemaPath, selected);
+    if (!outputDir || !output) return dataResult(subset);
+
+    const file = outputPath(output);
+    if (!SPEC_EXTENSIONS.includes(extname(file).toLowerCase())) {
+      throw new ToolError("invalid_arguments", `Output must end in ${SPEC_EXTENSIONS.join(", ")}: ${output}`);
+    }
+    if ([...specs.values()].includes(file)) {
+      throw new ToolError("invalid_arguments", `Output would replace the registered spec ${output}`);
+    }
+    if (existsSync(file) && !overwrite) {
+      throw new ToolError("invalid_arguments", `${output} already exists. Pass overwrite: true to replace it`);
+    }
+    try {
+      writeFileSync(file, extname(file).toLowerCase() === ".json" ? `${JSON.stringify(subset, null, 2)}\n` : toYaml(subset), {
+        flag: overwrite ? "w" : "wx",
+      });
+    } catch (error) {
+      throw new ToolError("write_failed", `Unable to write ${output}: ${error.message}`);
+    }
+
+    return specResult(openApiDoc, {
+      file,
+      operations: selected.length,
+      paths: Object.keys(subset.paths).length,
+      components: mapValues(subset.components || {}, (items) => Object.keys(items).length),
+      tags: (subset.tags || []).map((tag) => tag.name),
+    });
+  }),
+);
+
+// List security schemes
+registry.tool(
+  "list-security-schemes",
+  "Lists all available security schemes",
+  {
+    spec: specOption,
+    name: z.string().optional().describe("Only schemes whose name matches this glob pattern"),
+    ...paginationOptions,
+    format: formatOption(),
+  },
+  toolHandler(({ spec, name, format, ...paging }) => {
+    const schemaPath = specPath(spec);
+    const openApiDoc = loadSchema(schemaPath);
+    const securitySchemes = Object.entries(openApiDoc.components?.securitySchemes || {}).filter(([schemeName]) =>
+      matchesGlob(name, schemeName),
+    );
+
+    if (securitySchemes.length === 0) {
+      return messageResult(name ? `No security schemes match ${name}` : "No security schemes defined in this API");
+    }
+
+    return pagedResult(
+      securitySchemes,
+      paging,
+      (page) => {
+        const result = {};
+        for (const [schemeName, scheme] of page) {
+          result[schemeName] = {
+            type: scheme.type,
+            description: scheme.description,
+            ...(scheme.type === "oauth2" ? { flows: Object.keys(scheme.flows || {}) } : {}),
+            ...(scheme.type === "apiKey" ? { in: scheme.in, name: scheme.name } : {}),
+            ...(scheme.type === "http" ? { scheme: scheme.scheme } : {}),
+          };
+        }
+        return result;
+      },
+      "Security schemes",
+      openApiDoc,
+    );
+  }),
+);
+
+// A security requirement as text, such as "apiKey AND oauth[read:pets]". The empty
+// requirement {} allows anonymous access.
+const requirementExpression = (requirement) => {
+  const schemes = Object.entries(requirement).map(
+    ([schemeName, scopes]) => `${schemeName}${scopes?.length ? `[${scopes.join(", ")}]` : ""}`,
+  );
+  return schemes.length ? schemes.join(" AND ") : "anonymous";
+};
+
+// Requirements as text, any one of which suffices, e.g. "apiKey OR (basic AND oauth[read])"
+const securityExpression = (requirements) =>
+  requirements.length
+    ? requirements
+        .map((requirement) =>
+          requirements.length > 1 && Object.keys(requirement).length > 1
+            ? `(${requirementExpression(requirement)})`
+            : requirementExpression(requirement),
+        )
+        .join(" OR ")
+    : "none";
+
+// Scopes that a requirement asks of an OAuth2 scheme but none of its flows defines
+const undefinedScopes = (scheme, scopes = []) =>
+  scheme?.type === "oauth2"
+    ? scopes.filter((scope) => !Object.values(scheme.flows || {}).some((flow) => flow?.scopes && scope in flow.scopes))
+    : [];
+
+// What one scheme of a requirement needs: its type and location, and for OAuth2 the
+// required scopes with the URLs of each flow
+const describeSchemeRequirement = (openApiDoc, schemeName, scopes = []) => {
+  const scheme = dereference(openApiDoc, openApiDoc.components?.securitySchemes?.[schemeName]);
+  if (!scheme) return { name: schemeName, defined: false };
+  const missingScopes = undefinedScopes(scheme, scopes);
+  return {
+    name: schemeName,
+    type: scheme.type,
+    description: scheme.description,
+    ...(scheme.type === "apiKey" ? { in: scheme.in, parameter: scheme.name } : {}),
+    ...(scheme.type === "http" ? { scheme: scheme.scheme, bearerFormat: scheme.bearerFormat } : {}),
+    ...(scheme.type === "openIdConnect" ? { openIdConnectUrl: scheme.openIdConnectUrl } : {}),
+    ...(scopes.length ? { scopes } : {}),
+    ...(scheme.type === "oauth2"
+      ? {
+          flows: mapValues(scheme.flows || {}, (flow) => ({
+            authorizationUrl: flow?.authorizationUrl,
+            tokenUrl: flow?.tokenUrl,
+            refreshUrl: flow?.refreshUrl,
+            ...(scopes.length
+              ? {
+                  scopes: Object.fromEntries(
+                    scopes.filter((scope) => scope in (flow?.scopes || {})).map((scope) => [scope, flow.scopes[scope]]),
+                  ),
+                }
+              : {}),
+          })),
+        }
+      : {}),
+    ...(missingScopes.length ? { undefinedScopes: missingScopes } : {}),
+  };
+};
+
+// The effective security of an operation, with inheritance resolved. The requirements come
+// from the operation's own security, else the top-level security.
+const effectiveSecurity = (openApiDoc, { path, method, operation }) => {
+  const requirements = operationSecurity(openApiDoc, operation);
+  let authentication = "required";
+  if (requirements.length === 0) authentication = "none";
+  else if (requirements.some((requirement) => Object.keys(requirement).length === 0)) authentication = "optional";
+  return {
+    operation: `${method.toUpperCase()} ${path}`,
+    source: operation.security ? "operation" : openApiDoc.security ? "top-level" : "none",
+    ...(operation.security?.length === 0 && openApiDoc.security?.length
+      ? { note: "security: [] on the operation turns off the top-level security" }
+      : {}),
+    authentication,
+    expression: securityExpression(requirements),
+    // Any one requirement suffices; every scheme within a requirement is needed
+    anyOf: requirements.map((requirement) => ({
+      allOf: Object.entries(requirement).map(([schemeName, scopes]) =>
+        describeSchemeRequirement(openApiDoc, schemeName, scopes),
+      ),
+    })),
+  };
+};
+
+// Operations without authentication, security schemes no operation uses, and schemes and
+// scopes that requirements reference but the spec does not define
+const auditSecurity = (openApiDoc) => {
+  const schemes = openApiDoc.components?.securitySchemes || {};
+  const operations = listOperations(openApiDoc);
+  const used = new Set();
+  const undefinedSchemes = {};
+  const missingScopes = {};
+  const unauthenticated = [];
+
+  // Requirements count where they are written: top-level security and operation security
+  const sources = [
+    ...(openApiDoc.security ? [["top-level", openApiDoc.security]] : []),
+    ...operations
+      .filter(({ operation }) => operation.security)
+      .map(({ path, method, operation }) => [`${method.toUpperCase()} ${path}`, operation.security]),
+  ];
+  for (const [source, requirements] of sources) {
+    for (const [schemeName, scopes] of requirements.flatMap((requirement) => Object.entries(requirement))) {
+      const scheme = dereference(openApiDoc, schemes[schemeName]);
+      if (!scheme) {
+        undefinedSchemes[schemeName] = [...new Set([...(undefinedSchemes[schemeName] || []), source])];
+        continue;
+      }
+      for (const scope of undefinedScopes(scheme, scopes)) {
+        const key = `${schemeName} ${scope}`;
+        missingScopes[key] = { scheme: schemeName, scope, usedBy: [...new Set([...(missingScopes[key]?.usedBy || []), source])] };
+      }
+    }
+  }
+
+  for (const target of operations) {
+    const requirements = operationSecurity(openApiDoc, target.operation);
+    for (const requirement of requirements) Object.keys(requirement).forEach((schemeName) => used.add(schemeName));
+    let reason;
+    if (target.operation.security?.length === 0) reason = "security: [] turns authentication off";
+    else if (requirements.length === 0) reason = "no security requirements, here or at the top level";
+    else if (requirements.some((requirement) => Object.keys(requirement).length === 0)) {
+      reason = "an empty requirement {} makes authentication optional";
+    }
+    if (reason) unauthenticated.push({ operation: `${target.method.toUpperCase()} ${target.path}`, reason });
+  }
+
+  return {
+    operations: operations.length,
+    unauthenticated,
+    unusedSchemes: Object.keys(schemes).filter((schemeName) => !used.has(schemeName)),
+    undefinedSchemes: Object.entries(undefinedSchemes).map(([scheme, usedBy]) => ({ scheme, usedBy })),
+    undefinedScopes: Object.values(missingScopes),
+  };
+};
+
+// Resolve the security that applies to operations
+registry.tool(
+  "get-effective-security",
+  "Shows the security that applies to an operation, resolving inheritance from the top-level security and security: [], as alternatives (OR) of scheme combinations (AND) with required OAuth2 scopes and flow URLs. Without an operation it lists every operation's security; audit lists unauthenticated operations, unused schemes and undefined scopes",
+  {
+    spec: specOption,
+    ...operationOptions,
+    audit: z
+      .boolean()
+      .default(false)
+      .describe("Report unauthenticated operations, unused schemes and undefined schemes and scopes"),
+    ...paginationOptions,
+    format: formatOption(),
+  },
+  toolHandler(({ spec, path, method, operationId, audit, format, ...paging }) => {
+    const schemaPath = specPath(spec);
+    const openApiDoc = loadSchema(schemaPath);
+
+    if (audit) return specResult(openApiDoc, auditSecurity(openApiDoc));
+    if (operationId || path || method) {
+      const target = findTarget(openApiDoc, { operationId, path, method });
+      return specResult(openApiDoc, effectiveSecurity(openApiDoc, target));
+    }
+
+    return pagedResult(
+      listOperations(openApiDoc),
+      paging,
+      (page) =>
+        Object.fromEntries(
+          page.map(({ path: operationPath, method: operationMethod, operation }) => [
+            `${operationMethod.toUpperCase()} ${operationPath}`,
+            securityExpression(operationSecurity(openApiDoc, operation)),
+          ]),
+        ),
+      "Operations",
+      openApiDoc,
+    );
+  }),
+);
+
+// Get examples
+registry.tool(
+  "get-examples",
+  "Gets examples for a specific component or endpoint",
+  {
+    spec: specOption,
+    type: z.enum(["request", "response", "component"]).describe("Type of example to retrieve"),
+    path: z.string().optional().describe("API path (required for request/response examples, or use operationId)"),
+    method: z.string().optional().describe("HTTP method (required for request/response examples, or use operationId)"),
+    operationId: z.string().optional().describe("operationId, instead of path and method"),
+    statusCode: z.string().default("200").describe("Response status code (for response examples)"),
+    componentType: z
+      .string()
+      .optional()
+      .describe("Component type (required for component examples)"),
+    componentName: z
+      .string()
+      .optional()
+      .describe("Component name (required for component examples)"),
+    format: formatOption(),
+  },
+  toolHandler(({ spec, type, path, method, operationId, statusCode, componentType, componentName }) => {
+    const schemaPath = specPath(spec);
+    const openApiDoc = loadSchema(schemaPath);
+    if (operationId) ({ path, method } = findOperationById(openApiDoc, operationId));
+    if (type === "request") {
+      if (!path || !method) {
+        throw new ToolError("invalid_arguments", "Path and method (or operationId) are required for request examples");
+      }
+
+      const operation = findOperation(openApiDoc, path, method);
+      const requestBody = dereference(openApiDoc, operation.requestBody);
+
+      if (!requestBody?.content) {
+        return messageResult(`No request body defined for ${method.toUpperCase()} ${path}`);
+      }
+
+      const examples = {};
+      for (const [contentType, content] of Object.entries(requestBody.content)) {
+        if (content.examples) {
+          examples[contentType] = content.examples;
+        } else if (content.example) {
+          examples[contentType] = { default: { value: content.example } };
+        }
+      }
+
+      if (Object.keys(examples).length === 0) {
+        return messageResult(`No examples found for ${method.toUpperCase()} ${path} request`);
+      }
+
+      return specResult(openApiDoc, examples);
+    } else if (type === "response") {
+      if (!path || !method) {
+        throw new ToolError("invalid_arguments", "Path and method (or operationId) are required for response examples");
+      }
+
+      const operation = findOperation(openApiDoc, path, method);
+
+      if (!operation.responses) {
+        return messageResult(`No responses defined for ${method.toUpperCase()} ${path}`);
+      }
+
+      const [, response] = selectResponse(operation.responses, statusCode) || [];
+      const responseObj = dereference(openApiDoc, response);
+      if (!responseObj) {
+        throw new ToolError(
+          "response_not_found",
+          `No response for status code ${statusCode} (or its range or default) found for ${method.toUpperCase()} ${path}`,
+          { available: Object.keys(operation.responses) },
+        );
+      }
+
+      if (!responseObj.content) {
+        return messageResult("No content defined in response");
+      }
+
+      const examples = {};
+      for (const [contentType, content] of Object.entries(responseObj.content)) {
+        if (content.examples) {
+          examples[contentType] = content.examples;
+        } else if (content.example) {
+          examples[contentType] = { default: { value: content.example } };
+        }
+      }
+
+      if (Object.keys(examples).length === 0) {
+        return messageResult(`No examples found for ${method.toUpperCase()} ${path} response ${statusCode}`);
+      }
+
+      return specResult(openApiDoc, examples);
+    } else if (type === "component") {
+      if (!componentType || !componentName) {
+        throw new ToolError(
+          "invalid_arguments",
+          "Component type and name are required for component examples",
+        );
+      }
+
+      const component = findComponent(openApiDoc, componentType, componentName);
+
+      const examples =
+        component.examples || (component.example ? { default: component.example } : null);
+      if (!examples) {
+        return messageResult(`No examples found for component ${componentType}.${componentName}`);
+      }
+
+      return specResult(openApiDoc, examples);
+    }
+  }),
+);
+
+// Split text into lowercase search tokens, breaking camelCase, snake_case and kebab-case
+const tokenize = (text) =>
+  String(text ?? "")
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+// Kinds of search index entries
+const SEARCH_KINDS = [
+  "path",
+  "operation",
+  "webhook",
+  "callback",
+  "link",
+  "parameter",
+  "response",
+  "schema",
+  "property",
+  "enum",
+  "component",
+  "securityScheme",
+];
+
+// Search indexes per loaded document, built on first search
+const searchIndexes = new WeakMap();
+
+// Index every searchable element of a document. Each entry has a kind, a display name, a
+// JSON pointer location, the tags of its operation (if any) and weighted text fields.
+const buildSearchIndex = (openApiDoc) => {
+  const entries = [];
+  const add = (entry) =>
+    entries.push({
+      ...entry,
+      fields: entry.fields
+        .filter((field) => field.text !== undefined && field.text !== null && field.text !== "")
+        .map((field) => ({ ...field, text: String(field.text), tokens: tokenize(field.text) })),
+    });
+
+  // Property names and enum values of a schema and its subschemas; $refs are indexed where they point
+  const addSchema = (schema, location, name, tags, depth = 0) => {
+    if (!schema || typeof schema !== "object" || schema.$ref || depth > 20) return;
+    if (Array.isArray(schema.enum)) {
+      add({
+        kind: "enum",
+        name,
+        location: `${location}/enum`,
+        tags,
+        fields: [{ name: "enum", text: schema.enum.filter((value) => value !== null).join(", "), weight: 2 }],
+      });
+    }
+    for (const [property, subschema] of Object.entries(schema.properties || {})) {
+      const propertyLocation = `${location}/properties/${jsonPointer(property).slice(2)}`;
+      add({
+        kind: "property",
+        name: `${name}.${property}`,
+        location: propertyLocation,
+        tags,
+        fields: [
+          { name: "name", text: property, weight: 3 },
+          { name: "description", text: subschema?.description, weight: 1 },
+        ],
+      });
+      addSchema(subschema, propertyLocation, `${name}.${property}`, tags, depth + 1);
+    }
+    for (const keyword of ["items", "additionalProperties", "not"]) {
+      addSchema(schema[keyword], `${location}/${keyword}`, name, tags, depth + 1);
+    }
+    for (const keyword of ["allOf", "oneOf", "anyOf"]) {
+      (schema[keyword] || []).forEach((subschema, index) =>
+        addSchema(subschema, `${location}/${keyword}/${index}`, name, tags, depth + 1),
+      );
+    }
+  };
+
+  // Schemas of media type maps such as request bodies and responses
+  const addContent = (content, location, name, tags) => {
+    for (const [mediaType, media] of Object.entries(content || {})) {
+      addSchema(media?.schema, `${location}/content/${jsonPointer(mediaType).slice(2)}/schema`, name, tags);
+    }
+  };
+
+  // Operations of the path items in `pathItems`, found at `base`. Callbacks are indexed with
+  // the tags of their operation, and named after it; callbacks of callbacks are left out.
+  const addOperations = (pathItems, base, kind, parent, parentTags) => {
+    for (const [key, item] of Object.entries(pathItems || {})) {
+      const pathItem = dereference(openApiDoc, item);
+      if (kind === "operation") {
+        add({ kind: "path", name: key, location: jsonPointer(...base, key), fields: [{ name: "path", text: key, weight: 2 }] });
+      }
+      for (const method of HTTP_METHODS) {
+        const operation = pathItem?.[method];
+        if (!operation) continue;
+        const name = `${method.toUpperCase()} ${key}${parent ? ` (${parent})` : ""}`;
+        const location = jsonPointer(...base, key, method);
+        const tags = parentTags || operation.tags || [];
+        add({
+          kind,
+          name,
+          location,
+          tags,
+          fields: [
+            { name: "operationId", text: operation.operationId, weight: 3 },
+            { name: "summary", text: operation.summary, weight: 2 },
+            { name: "tags", text: tags.join(", "), weight: 2 },
+            { name: { operation: "path", webhook: "name", callback: "expression" }[kind], text: key, weight: 1 },
+            { name: "description", text: operation.description, weight: 1 },
+          ],
+        });
+
+        const parameters = [
+          ...(pathItem.parameters || []).map((parameter, index) => [parameter, jsonPointer(...base, key, "parameters", index)]),
+          ...(operation.parameters || []).map((parameter, index) => [parameter, `${location}/parameters/${index}`]),
+        ];
+        for (const [parameter, parameterLocation] of parameters) {
+          const resolved = dereference(openApiDoc, parameter);
+          if (!resolved?.name) continue;
+          add({
+            kind: "parameter",
+            name: `${resolved.name} (${resolved.in}, ${name})`,
+            location: parameterLocation,
+            tags,
+            fields: [
+              { name: "name", text: resolved.name, weight: 3 },
+              { name: "description", text: resolved.description, weight: 1 },
+            ],
+          });
+          addSchema(parameter.schema, `${parameterLocation}/schema`, `${name} parameter ${resolved.name}`, tags);
+        }
+
+        addContent(operation.requestBody?.content, `${location}/requestBody`, `${name} request body`, tags);
+        for (const [status, response] of Object.entries(operation.responses || {})) {
+          const responseLocation = `${location}/responses/${jsonPointer(status).slice(2)}`;
+          add({
+            kind: "response",
+            name: `${status} (${name})`,
+            location: responseLocation,
+            tags,
+            fields: [
+              { name: "status", text: status, weight: 1 },
+              { name: "description", text: dereference(openApiDoc, response)?.description, weight: 1 },
+            ],
+          });
+          addContent(response?.content, responseLocation, `${name} response ${status}`, tags);
+          for (const [linkName, value] of Object.entries(dereference(openApiDoc, response)?.links || {})) {
+            const link = dereference(openApiDoc, value);
+            add({
+              kind: "link",
+              name: `${linkName} (${status} ${name})`,
+              location: `${responseLocation}/links/${jsonPointer(linkName).slice(2)}`,
+              tags,
+              fields: [
+                { name: "name", text: linkName, weight: 3 },
+                { name: "operationId", text: link?.operationId ?? link?.operationRef, weight: 2 },
+                { name: "description", text: link?.description, weight: 1 },
+              ],
+            });
+          }
+        }
+
+        for (const [callbackName, callback] of Object.entries(kind === "callback" ? {} : operation.callbacks || {})) {
+          addOperations(
+            dereference(openApiDoc, callback),
+            [...base, key, method, "callbacks", callbackName],
+            "callback",
+            `${callbackName} callback of ${method.toUpperCase()} ${key}`,
+            tags,
+          );
+        }
+      }
+    }
+  };
+  addOperations(openApiDoc.paths, ["paths"], "operation");
+  addOperations(openApiDoc.webhooks, ["webhooks"], "webhook");
+
+  for (const [type, items] of Object.entries(openApiDoc.components || {})) {
+    if (!items || typeof items !== "object") continue;
+    for (const [name, component] of Object.entries(items)) {
+      const location = jsonPointer("components", type, name);
+      const kind = type === "schemas" ? "schema" : type === "securitySchemes" ? "securityScheme" : "component";
+      add({
+        kind,
+        name: kind === "component" ? `${type}.${name}` : name,
+        location,
+        fields: [
+          { name: "name", text: name, weight: 3 },
+          { name: "title", text: component?.title, weight: 2 },
+          { name: "description", text: component?.description, weight: 1 },
+        ],
+      });
+      if (type === "schemas") addSchema(component, location, name);
+      if (type === "parameters" || type === "headers") addSchema(component?.schema, `${location}/schema`, name);
+      if (type === "requestBodies" || type === "responses") addContent(component?.content, location, `${type}.${name}`);
+    }
+  }
+
+  // The vocabulary, for matching query tokens to indexed tokens by prefix and edit distance
+  const vocabulary = new Set(entries.flatMap((entry) => entry.fields.flatMap((field) => field.tokens)));
+  return { entries, vocabulary: [...vocabulary] };
+};
+
+const searchIndex = (openApiDoc) => {
+  if (!searchIndexes.has(openApiDoc)) searchIndexes.set(openApiDoc, buildSearchIndex(openApiDoc));
+  return searchIndexes.get(openApiDoc);
+};
+
+// How closely a query token matches an indexed token: exact 1, prefix 0.8, a typo 0.5
+const tokenSimilarity = (queryToken, token) => {
+  if (queryToken === token) return 1;
+  if (token.startsWith(queryToken) && queryToken.length >= 2) return 0.8;
+  if (queryToken.length < 4 || Math.abs(queryToken.length - token.length) > 2) return 0;
+  const distance = editDistance(queryToken, token);
+  return distance <= (queryToken.length >= 7 ? 2 : 1) ? 0.5 : 0;
+};
+
+// A short extract of `text` around `index`
+const searchSnippet = (text, index = 0, length = 0) => {
+  const singleLine = text.replace(/\s+/g, " ");
+  if (singleLine.length <= 120) return singleLine;
+  const start = Math.max(0, Math.min(index - 40, singleLine.length - 120));
+  return `${start > 0 ? "..." : ""}${singleLine.slice(start, start + 120).trim()}${start + 120 < singleLine.length ? "..." : ""}`;
+};
+
+// Rank index entries for a text query. Every query token scores its best match in an entry,
+// weighted by field; entries matching more of the query, or the whole query as a phrase, rank higher.
+const searchText = (index, query) => {
+  const queryTokens = [...new Set(tokenize(query))];
+  if (queryTokens.length === 0) {
+    throw new ToolError("invalid_arguments", "The search query has no words to search for");
+  }
+  const similar = new Map(
+    queryTokens.map((queryToken) => [
+      queryToken,
+      new Map(
+        index.vocabulary
+          .map((token) => [token, tokenSimilarity(queryToken, token)])
+          .filter(([, similarity]) => similarity > 0),
+      ),
+    ]),
+  );
+  const phrase = query.trim().toLowerCase();
+
+  const hits = [];
+  for (const entry of index.entries) {
+    let score = 0;
+    let matched = 0;
+    let best;
+    for (const queryToken of queryTokens) {
+      let tokenScore = 0;
+      for (const field of entry.fields) {
+        for (const token of field.tokens) {
+          const similarity = similar.get(queryToken).get(token);
+          if (similarity && similarity * field.weight > tokenScore) {
+            tokenScore = similarity * field.weight;
+            if (!best || tokenScore > best.score) best = { score: tokenScore, field };
+          }
+        }
+      }
+      if (tokenScore > 0) matched++;
+      score += tokenScore;
+    }
+    if (matched === 0) continue;
+
+    score *= matched / queryTokens.length;
+    const phraseField = entry.fields.find((field) => field.text.toLowerCase().includes(phrase));
+    if (phraseField) score *= 1.5;
+    const field = phraseField ?? best.field;
+    const at = field.text.toLowerCase().indexOf(phraseField ? phrase : queryTokens.find((token) => field.text.toLowerCase().includes(token)) ?? "");
+    hits.push({ entry, score, field: field.name, snippet: searchSnippet(field.text, Math.max(at, 0)) });
+  }
+  return hits;
+};
+
+// Longest pattern, and longest text a pattern is run against, in regex mode
+const MAX_SEARCH_PATTERN = 200;
+const MAX_SEARCH_TEXT = 2000;
+// Time a regex search may take, in milliseconds
+const SEARCH_TIMEOUT = 1000;
+
+// Patterns with a repeated group that contains a quantifier or alternatives at any depth,
+// such as (a+)+, ((.)+)+ or (a|a)*, or with backreferences can take exponential time, so
+// regex mode refuses them
+const isUnsafePattern = (pattern) => {
+  if (/\\[1-9]|\\k</.test(pattern)) return true;
+  // Whether each open group contains a quantifier or alternatives
+  const groups = [{ risky: false }];
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "\\") {
+      i++;
+    } else if (char === "[") {
+      // Quantifier characters in a character class are literal
+      for (i++; i < pattern.length && pattern[i] !== "]"; i++) if (pattern[i] === "\\") i++;
+    } else if (char === "(") {
+      groups.push({ risky: false });
+    } else if (char === ")" && groups.length > 1) {
+      const group = groups.pop();
+      const quantified = /^(?:[*+]|\{\d)/.test(pattern.slice(i + 1));
+      if (quantified && group.risky) return true;
+      groups.at(-1).risky ||= group.risky || quantified;
+    } else if ("*+|".includes(char) || (char === "{" && /\d/.test(pattern[i + 1] ?? "")) || (char === "?" && pattern[i - 1] !== "(")) {
+      groups.at(-1).risky = true;
+    }
+  }
+  return false;
+};
+
+// Match index entries against a regular expression, ranked by field weight
+const searchRegex = (index, pattern) => {
+  if (pattern.length > MAX_SEARCH_PATTERN) {
+    throw new ToolError("invalid_arguments", `Search patterns may be at most ${MAX_SEARCH_PATTERN} characters long`);
+  }
+  if (isUnsafePattern(pattern)) {
+    throw new ToolError(
+      "invalid_arguments",
+      "Search pattern refused: nested quantifiers such as (a+)+ and backreferences can make a search run for a very long time",
+    );
+  }
+  let regex;
+  try {
+    regex = new RegExp(pattern, "i");
+  } catch (error) {
+    throw new ToolError("invalid_arguments", `Invalid search pattern: ${error.message}`);
+  }
+
+  // Patterns that slip past the check still cannot block the server: the matching runs in
+  // a separate context that is stopped after SEARCH_TIMEOUT
+  const texts = index.entries.map((entry) => entry.fields.map((field) => field.text.slice(0, MAX_SEARCH_TEXT)));
+  let matches;
+  try {
+    matches = runInNewContext("texts.map((fields) => fields.map((text) => regex.exec(text)))", { texts, regex }, {
+      timeout: SEARCH_TIMEOUT,
+    });
+  } catch (error) {
+    if (error.code !== "ERR_SCRIPT_EXECUTION_TIMEOUT") throw error;
+    throw new ToolError("invalid_arguments", `Search pattern refused: the search took longer than ${SEARCH_TIMEOUT} ms`);
+  }
+
+  const hits = [];
+  for (const [entryIndex, entry] of index.entries.entries()) {
+    let best;
+    for (const [fieldIndex, field] of entry.fields.entries()) {
+      const match = matches[entryIndex][fieldIndex];
+      if (match && (!best || field.weight > best.field.weight)) best = { field, match };
+    }
+    if (best) {
+      hits.push({
+        entry,
+        score: best.field.weight,
+        field: best.field.name,
+        snippet: searchSnippet(best.field.text, best.match.index),
+      });
+    }
+  }
+  return hits;
+};
+
+// Search the spec
+registry.tool(
+  "search-schema",
+  "Searches operations, paths, parameters, responses, schemas, properties, enum values, components and security schemes. Results are ranked, typo-tolerant and come with snippets and JSON pointer locations",
+  {
+    spec: specOption,
+    query: z.string().describe("Words to search for, or a regular expression in regex mode"),
+    mode: z
+      .enum(["text", "regex"])
+      .default("text")
+      .describe("text: ranked word search that tolerates typos; regex: case-insensitive regular expression"),
+    kinds: z.array(z.enum(SEARCH_KINDS)).optional().describe("Only return hits of these kinds"),
+    tag: z.string().optional().describe("Only return hits that belong to operations with this tag"),
+    limit: z.number().int().min(1).max(100).default(20).describe("Maximum number of hits"),
+    cursor: paginationOptions.cursor,
+    format: formatOption(),
+  },
+  toolHandler(({ spec, query, mode, kinds, tag, format, ...paging }) => {
+    const schemaPath = specPath(spec);
+    const openApiDoc = loadSchema(schemaPath);
+    const index = searchIndex(openApiDoc);
+
+    const hits = (mode === "regex" ? searchRegex(index, query) : searchText(index, query))
+      .filter(({ entry }) => (!kinds || kinds.includes(entry.kind)) && (!tag || entry.tags?.includes(tag)))
+      .sort((a, b) => b.score - a.score);
+
+    if (hits.length === 0) {
+      return messageResult(`No matches found for "${query}"`);
+    }
+
+    return pagedResult(
+      hits,
+      paging,
+      (page) => ({
+        query,
+        total: hits.length,
+        hits: page.map(({ entry, score, field, snippet }) => ({
+          kind: entry.kind,
+          name: entry.name,
+          location: entry.location,
+          score: Math.round(score * 100) / 100,
+          field,
+          snippet,
+        })),
+      }),
+      "Hits",
+      openApiDoc,
+    );
+  }),
+);
+
+// Find $refs in the document as written that do not resolve. References into other files
+// are followed, so broken references in those files are reported too.
+const findBrokenRefs = async (schemaPath) => {
+  const rootFile = resolve(schemaPath);
+  const source = loadSource(rootFile);
+  let $refs;
+  let refsError;
+  try {
+    $refs = await loadRefs(rootFile);
+  } catch (error) {
+    refsError = error;
+  }
+
+  const problems = [];
+  const visited = new Set();
+  const walk = (node, file, location) => {
+    if (Array.isArray(node)) {
+      node.forEach((item, i) => walk(item, file, `${location}/${i}`));
+      return;
+    }
+    if (!node || typeof node !== "object") return;
+
+    if (typeof node.$ref === "string") {
+      const target = absoluteRef(file, node.$ref);
+      const targetFile = target.split("#")[0];
+      try {
+        if (targetFile === rootFile) {
+          resolvePointer(source, target.slice(rootFile.length));
+        } else if ($refs) {
+          // Follow references into other files once, to check the references they contain
+          const resolved = $refs.get(target);
+          if (!visited.has(target)) {
+            visited.add(target);
+            walk(resolved, targetFile, target.slice(targetFile.length) || "#");
+          }
+        } else {
+          throw refsError;
+        }
+      } catch (error) {
+        problems.push({
+          location: `${file === rootFile ? "" : file}${location}/$ref`,
+          message: `Unable to resolve $ref '${node.$ref}': ${error.message}`,
+        });
+      }
+    }
+
+    for (const [key, value] of Object.entries(node)) {
+      if (key !== "$ref") {
+        walk(value, file, `${location}/${key.replace(/~/g, "~0").replace(/\//g, "~1")}`);
+      }
+    }
+  };
+
+  walk(source, rootFile, "#");
+  return problems;
+};
+
+// Errors for a location that may hold either an object or a reference, which only say
+// that the value is neither
+const isAlternativeError = (detail) =>
+  ["oneOf", "anyOf"].includes(detail.keyword) ||
+  (detail.keyword === "required" && detail.params?.missingProperty === "$ref");
+
+// Validate the document against the Swagger 2.0 or OpenAPI 3.x JSON schema
+const findSchemaErrors = async (schemaPath) => {
+  try {
+    await SwaggerParser.validate(resolve(schemaPath), structuredClone(loadSource(schemaPath)), {
+      // Keep $refs in place so that errors are reported where the definition is written
+      dereference: { excludedPathMatcher: () => true },
+      validate: { schema: true, spec: false },
+    });
+    return [];
+  } catch (error) {
+    if (!Array.isArray(error.details)) {
+      return [{ location: "#", message: error.message }];
+    }
+
+    const details = error.details.map((detail) => ({
+      ...detail,
+      location: `#${detail.instancePath ?? ""}`,
+    }));
+    // Only report that a value matches no alternative when nothing more specific was found
+    const specific = details.filter((detail) => !isAlternativeError(detail));
+    const seen = new Set();
+    return details
+      .filter(
+        (detail) =>
+          !isAlternativeError(detail) ||
+          !specific.some(({ location }) => location === detail.location || location.startsWith(`${detail.location}/`)),
+      )
+      .map((detail) => ({
+        location: detail.location,
+        message: `${detail.message}${detail.params?.additionalProperty ? `: ${detail.params.additionalProperty}` : ""}`,
+      }))
+      .filter(({ location, message }) => {
+        const key = `${location} ${message}`;
+        return !seen.has(key) && seen.add(key);
+      });
+  }
+};
+
+// Lint rules with their default severity. Each check returns the problems it finds in the
+// normalized document as { location, message }.
+const LINT_RULES = {
+  "operation-operationId": {
+    severity: "warning",
+    description: "Operations should have an operationId",
+    check: (openApiDoc) =>
+      listOperations(openApiDoc)
+        .filter(({ operation }) => !operation.operationId)
+        .map(({ path, method }) => ({
+          location: jsonPointer("paths", path, method),
+          message: `${method.toUpperCase()} ${path} has no operationId`,
+        })),
+  },
+  "operation-operationId-unique": {
+    severity: "error",
+    description: "operationIds must be unique",
+    check: (openApiDoc) => {
+      const seen = new Map();
+      const problems = [];
+      for (const { path, method, operation } of listOperations(openApiDoc)) {
+        if (!operation.operationId) continue;
+        const first = seen.get(operation.operationId);
+        if (first) {
+          problems.push({
+            location: jsonPointer("paths", path, method, "operationId"),
+            message: `operationId '${operation.operationId}' of ${method.toUpperCase()} ${path} is also used by ${first}`,
+          });
+        } else {
+          seen.set(operation.operationId, `${method.toUpperCase()} ${path}`);
+        }
+      }
+      return problems;
+    },
+  },
+  "path-parameters-defined": {
+    severity: "error",
+    description: "Path template parameters must be documented, and documented path parameters must be in the template",
+    check: (openApiDoc) =>
+      listOperations(openApiDoc).flatMap(({ path, method, pathItem, operation }) => {
+        const templated = [...path.matchAll(/\{([^}]+)\}/g)].map((match) => match[1]);
+        const documented = [...(pathItem.parameters || []), ...(operation.parameters || [])]
+          .map((parameter) => dereference(openApiDoc, parameter))
+          .filter((parameter) => parameter?.in === "path")
+          .map((parameter) => parameter.name);
+        return [
+          ...templated
+            .filter((name) => !documented.includes(name))
+            .map((name) => ({
+              location: jsonPointer("paths", path, method, "parameters"),
+              message: `Path parameter '${name}' of ${method.toUpperCase()} ${path} is not documented`,
+            })),
+          ...documented
+            .filter((name) => !templated.includes(name))
+            .map((name) => ({
+              location: jsonPointer("paths", path, method, "parameters"),
+              message: `Path parameter '${name}' of ${method.toUpperCase()} ${path} is not in the path template`,
+            })),
+        ];
+      }),
+  },
+  "operation-success-response": {
+    severity: "warning",
+    description: "Operations should have a 2xx response",
+    check: (openApiDoc) =>
+      listOperations(openApiDoc)
+        .filter(({ operation }) => !Object.keys(operation.responses || {}).some((code) => /^2/.test(code)))
+        .map(({ path, method }) => ({
+          location: jsonPointer("paths", path, method, "responses"),
+          message: `${method.toUpperCase()} ${path} has no 2xx response`,
+        })),
+  },
+  "operation-summary": {
+    severity: "warning",
+    description: "Operations should have a summary",
+    check: (openApiDoc) =>
+      listOperations(openApiDoc)
+        .filter(({ operation }) => !operation.summary)
+        .map(({ path, method }) => ({
+          location: jsonPointer("paths", path, method),
+          message: `${method.toUpperCase()} ${path} has no summary`,
+        })),
+  },
+};
+
+// Validate the spec's structure and references, and run lint rules
+registry.tool(
+  "validate-spec",
+  "Validates a spec against the OpenAPI/Swagger schema, checks that all $refs resolve and runs lint rules",
+  {
+    spec: specOption,
+    rules: z
+      .record(z.enum(["error", "warning", "off"]))
+      .optional()
+      .describe(
+        `Severity overrides for lint rules, e.g. { "operation-summary": "off" }. Rules: ${Object.keys(LINT_RULES).join(", ")}`,
+      ),
+    format: formatOption(),
+  },
+  toolHandler(async ({ spec, rules = {} }) => {
+    const schemaPath = specPath(spec);
+    const openApiDoc = loadSchema(schemaPath);
+
+    const unknownRules = Object.keys(rules).filter((rule) => !LINT_RULES[rule]);
+    if (unknownRules.length > 0) {
+      throw new ToolError("invalid_arguments", `Unknown lint rules: ${unknownRules.join(", ")}`, {
+        suggestions: unknownRules.flatMap((rule) => closestMatches(rule, Object.keys(LINT_RULES), 1)),
+        available: Object.keys(LINT_RULES),
+      });
+    }
+
+    const problems = (await findBrokenRefs(schemaPath)).map((problem) => ({
+      severity: "error",
+      source: "reference",
+      ...problem,
+    }));
+
+    // Schema validation needs every reference to resolve
+    if (problems.length === 0) {
+      for (const problem of await findSchemaErrors(schemaPath)) {
+        problems.push({ severity: "error", source: "schema", ...problem });
+      }
+    }
+
+    for (const [rule, { severity, check }] of Object.entries(LINT_RULES)) {
+      const effectiveSeverity = rules[rule] || severity;
+      if (effectiveSeverity === "off") continue;
+      for (const problem of check(openApiDoc)) {
+        problems.push({ severity: effectiveSeverity, source: "lint", rule, ...problem });
+      }
+    }
+
+    const errors = problems.filter((problem) => problem.severity === "error").length;
+    return specResult(openApiDoc, {
+      valid: errors === 0,
+      errors,
+      warnings: problems.length - errors,
+      ...(problems.some((problem) => problem.source === "reference")
+        ? { note: "Schema validation was skipped because some $refs do not resolve" }
+        : {}),
+      problems,
+    });
+  }),
+);
+
+// Formats that OpenAPI adds to the JSON Schema ones
+const OPENAPI_FORMATS = {
+  int32: { type: "number", validate: (value) => Number.isInteger(value) && value >= -(2 ** 31) && value < 2 ** 31 },
+  int64: { type: "number", validate: (value) => Number.isInteger(value) },
+  float: { type: "number", validate: () => true },
+  double: { type: "number", validate: () => true },
+  byte: /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/,
+  binary: true,
+  password: true,
+};
+
+const createAjv = (options = {}) => {
+  const ajv = new Ajv2020({ strict: false, allErrors: true, verbose: true, ...options });
+  addFormats(ajv);
+  for (const [name, format] of Object.entries(OPENAPI_FORMATS)) ajv.addFormat(name, format);
+  return ajv;
+};
+
+// Payloads are validated as they are; parameters arrive as strings and are coerced
+const payloadAjv = createAjv();
+const parameterAjv = createAjv({ coerceTypes: "array" });
+
+// Convert an OpenAPI schema to JSON Schema for validating a payload sent in `direction`
+// ("request" or "response"): nullable becomes a null type, boolean exclusive bounds become
+// numeric, a discriminator selects its subschema, and readOnly properties (in requests) or
+// writeOnly properties (in responses) are rejected.
+const toJsonSchema = (schema, direction) =>
+  mapSchema(schema, (node) => {
+    const { nullable, discriminator, ...converted } = node;
+
+    for (const [exclusive, bound] of [
+      ["exclusiveMinimum", "minimum"],
+      ["exclusiveMaximum", "maximum"],
+    ]) {
+      if (converted[exclusive] === true) {
+        converted[exclusive] = converted[bound];
+        delete converted[bound];
+      } else if (converted[exclusive] === false) {
+        delete converted[exclusive];
+      }
+    }
+
+    const hidden = direction === "request" ? "readOnly" : "writeOnly";
+    if (converted.properties) {
+      const hiddenNames = Object.keys(converted.properties).filter(
+        (name) => converted.properties[name]?.[hidden] === true,
+      );
+      if (hiddenNames.length > 0) {
+        converted.properties = { ...converted.properties };
+        for (const name of hiddenNames) {
+          converted.properties[name] = {
+            not: {},
+            "x-violation": `${hidden} property must not be sent in a ${direction}`,
+          };
+        }
+        if (converted.required) {
+          converted.required = converted.required.filter((name) => !hiddenNames.includes(name));
+        }
+      }
+    }
+
+    const alternatives = converted.oneOf || converted.anyOf;
+    if (discriminator?.propertyName && alternatives) {
+      const property = discriminator.propertyName;
+      const mapping = discriminator.mapping
+        ? mapValues(discriminator.mapping, (target) =>
+            target.includes("/") ? target : `#/components/schemas/${target}`,
+          )
+        : Object.fromEntries(
+            alternatives
+              .filter((alternative) => alternative.$ref)
+              .map((alternative) => [alternative.$ref.split("/").pop(), alternative.$ref]),
+          );
+      delete converted.oneOf;
+      delete converted.anyOf;
+      converted.allOf = [
+        ...(converted.allOf || []),
+        { required: [property], properties: { [property]: { enum: Object.keys(mapping) } } },
+        ...Object.entries(mapping).map(([value, $ref]) => ({
+          if: { required: [property], properties: { [property]: { const: value } } },
+          then: { $ref },
+        })),
+      ];
+    }
+
+    if (nullable === true) {
+      if (typeof converted.type === "string" || Array.isArray(converted.type)) {
+        converted.type = [...[converted.type].flat(), "null"];
+        if (converted.enum) converted.enum = [...converted.enum, null];
+      } else {
+        return { anyOf: [{ type: "null" }, converted] };
+      }
+    }
+    return converted;
+  });
+
+// Compiled validators per document, keyed by direction and schema
+const payloadValidators = new WeakMap();
+
+// Compile a validator for `schema` from `openApiDoc`. Local $refs resolve against the
+// document's converted component schemas.
+const compilePayloadSchema = (openApiDoc, schema, direction, ajv = payloadAjv) => {
+  let validators = payloadValidators.get(openApiDoc);
+  if (!validators) {
+    validators = new Map();
+    payloadValidators.set(openApiDoc, validators);
+  }
+
+  const key = `${direction} ${ajv === payloadAjv ? "payload" : "parameter"} ${JSON.stringify(schema)}`;
+  if (!validators.has(key)) {
+    const schemas = mapValues(openApiDoc.components?.schemas || {}, (component) =>
+      toJsonSchema(component, direction),
+    );
+    try {
+      validators.set(key, ajv.compile({ ...toJsonSchema(schema, direction), components: { schemas } }));
+    } catch (error) {
+      throw new ToolError("schema_error", `Unable to compile schema: ${error.message}`);
+    }
+  }
+  return validators.get(key);
+};
+
+// Describe the errors of a validator run as violations in `location`
+const toViolations = (location, errors, prefix = "") =>
+  (errors || [])
+    .filter((error) => !["if", "allOf"].includes(error.keyword))
+    .map((error) => ({
+      in: location,
+      instancePath: `${prefix}${error.instancePath}` || "/",
+      rule: error.parentSchema?.["x-violation"] ? error.parentSchema["x-violation"].split(" ")[0] : error.keyword,
+      schemaPath: error.schemaPath,
+      message:
+        error.parentSchema?.["x-violation"] ||
+        (error.keyword === "enum"
+          ? `${error.message}: ${error.params.allowedValues.map((value) => JSON.stringify(value)).join(", ")}`
+          : error.message),
+    }));
+
+const PARAMETER_DELIMITERS = { form: ",", simple: ",", spaceDelimited: " ", pipeDelimited: "|" };
+
+// Split a raw parameter value into an array where the parameter's schema expects one,
+// following its style and explode settings
+const splitParameterValue = (parameter, schema, value) => {
+  if (schema?.type !== "array") return value;
+  const style = parameter.style || (parameter.in === "query" || parameter.in === "cookie" ? "form" : "simple");
+  const explode = parameter.explode ?? style === "form";
+  const values = [value].flat();
+  if (explode && values.length > 1) return values;
+  return values.flatMap((item) => String(item).split(PARAMETER_DELIMITERS[style] || ","));
+};
+
+// Validate raw query or header values against the operation's parameters in `location`
+const validateParameters = (openApiDoc, parameters, location, values = {}, direction = "request") => {
+  const defined = parameters.filter((parameter) => parameter.in === location);
+  // Header names are case-insensitive
+  const normalizeName = (name) => (location === "header" ? name.toLowerCase() : name);
+  const provided = Object.fromEntries(
+    Object.entries(values).map(([name, value]) => [normalizeName(name), value]),
+  );
+
+  const violations = [];
+  for (const parameter of defined) {
+    const name = normalizeName(parameter.name);
+    const value = provided[name];
+    if (value === undefined) {
+      if (parameter.required) {
+        violations.push({
+          in: location,
+          instancePath: `/${name}`,
+          rule: "required",
+          schemaPath: "#/required",
+          message: `missing required ${location} parameter '${parameter.name}'`,
+        });
+      }
+      continue;
+    }
+
+    const schema = parameter.schema || selectMediaType(parameter.content)?.[1]?.schema;
+    if (!schema) continue;
+    const resolvedSchema = dereference(openApiDoc, schema);
+    const data = { value: splitParameterValue(parameter, resolvedSchema, value) };
+    const validate = compilePayloadSchema(
+      openApiDoc,
+      { type: "object", properties: { value: schema } },
+      direction,
+      parameterAjv,
+    );
+    if (!validate(data)) {
+      violations.push(
+        ...toViolations(location, validate.errors).map((violation) => ({
+          ...violation,
+          instancePath: violation.instancePath.replace(/^\/value/, `/${name}`),
+        })),
+      );
+    }
+  }
+  return violations;
+};
+
+// Validate a request or response payload against an operation. Returns the violations and
+// the media type the body was validated against.
+const validatePayload = (
+  openApiDoc,
+  { path, method, pathItem, operation },
+  { direction, statusCode, contentType, body, headers, query },
+) => {
+  const violations = [];
+  let target;
+
+  if (direction === "request") {
+    const parameters = operationParameters(openApiDoc, pathItem, operation);
+    violations.push(...validateParameters(openApiDoc, parameters, "query", query));
+    violations.push(...validateParameters(openApiDoc, parameters, "header", headers));
+    target = dereference(openApiDoc, operation.requestBody);
+  } else {
+    const selected = selectResponse(operation.responses, statusCode);
+    if (!selected) {
+      throw new ToolError(
+        "response_not_found",
+        `No response for status code ${statusCode} (or default) found for ${method.toUpperCase()} ${path}`,
+        { available: Object.keys(operation.responses || {}) },
+      );
+    }
+    target = dereference(openApiDoc, selected[1]);
+    const responseHeaders = Object.entries(target.headers || {}).map(([name, header]) => ({
+      ...dereference(openApiDoc, header),
+      name,
+      in: "header",
+    }));
+    violations.push(...validateParameters(openApiDoc, responseHeaders, "header", headers, "response"));
+  }
+
+  let mediaType;
+  if (body === undefined) {
+    if (target?.required) {
+      violations.push({
+        in: "body",
+        instancePath: "/",
+        rule: "required",
+        schemaPath: "#/requestBody/required",
+        message: "request body is required",
+      });
+    }
+  } else if (!target?.content) {
+    violations.push({
+      in: "body",
+      instancePath: "/",
+      rule: "content",
+      schemaPath: "#/content",
+      message: `no body is defined for this ${direction}`,
+    });
+  } else {
+    const selected = selectMediaType(target.content, contentType);
+    if (!selected) {
+      violations.push({
+        in: "body",
+        instancePath: "/",
+        rule: "contentType",
+        schemaPath: "#/content",
+        message: `content type ${contentType} is not defined. Defined: ${Object.keys(target.content).join(", ")}`,
+      });
+    } else if (selected[1]?.schema) {
+      mediaType = selected[0];
+      const validate = compilePayloadSchema(openApiDoc, selected[1].schema, direction);
+      if (!validate(body)) violations.push(...toViolations("body", validate.errors));
+    }
+  }
+
+  return { violations, contentType: mediaType };
+};
+
+// Validate a request or response payload against an operation
+registry.tool(
+  "validate-payload",
+  "Validates a request or response body, headers and query parameters against an operation's schemas",
+  {
+    spec: specOption,
+    ...operationOptions,
+    direction: z.enum(["request", "response"]).describe("Whether the payload is a request or a response"),
+    statusCode: z.string().default("200").describe("Response status code (for responses)"),
+    contentType: z
+      .string()
+      .optional()
+      .describe("Content type of the body. Defaults to the first JSON content type"),
+    body: z.any().optional().describe("The body, as parsed JSON"),
+    headers: z.record(z.union([z.string(), z.array(z.string())])).optional(),
+    query: z
+      .record(z.union([z.string(), z.array(z.string())]))
+      .optional()
+      .describe("Query parameters (requests only)"),
+    format: formatOption(),
+  },
+  toolHandler(({ spec, path, method, operationId, format, ...payload }) => {
+    const schemaPath = specPath(spec);
+    const openApiDoc = loadSchema(schemaPath);
+    const target = findTarget(openApiDoc, { operationId, path, method });
+    const { violations, contentType } = validatePayload(openApiDoc, target, payload);
+
+    return specResult(openApiDoc, {
+      valid: violations.length === 0,
+      operation: `${target.method.toUpperCase()} ${target.path}`,
+      direction: payload.direction,
+      ...(payload.direction === "response" ? { statusCode: payload.statusCode } : {}),
+      ...(contentType ? { contentType } : {}),
+      violations,
+    });
+  }),
+);
+
+// Small seeded pseudo-random number generator (mulberry32), returning numbers in [0, 1)
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const EXAMPLE_WORDS = ["alpha", "bravo", "charlie", "delta", "echo", "foxtrot", "golf", "hotel"];
+const EXAMPLE_NAMES = ["Fluffy", "Rex", "Luna", "Max", "Bella", "Charlie", "Daisy", "Milo"];
+
+// A string for `format`, or one that suits the property `name`
+const exampleString = (schema, name, random) => {
+  const pick = (values) => values[Math.floor(random() * values.length)];
+  const day = 1 + Math.floor(random() * 28);
+  const month = 1 + Math.floor(random() * 12);
+  const date = `2024-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+  const hex = (length) =>
+    Array.from({ length }, () => Math.floor(random() * 16).toString(16)).join("");
+
+  const byFormat = {
+    date: () => date,
+    "date-time": () => `${date}T${String(Math.floor(random() * 24)).padStart(2, "0")}:30:00Z`,
+    time: () => "12:30:00Z",
+    email: () => `${pick(EXAMPLE_WORDS)}@example.com`,
+    uuid: () => `${hex(8)}-${hex(4)}-4${hex(3)}-a${hex(3)}-${hex(12)}`,
+    uri: () => `https://example.com/${pick(EXAMPLE_WORDS)}`,
+    url: () => `https://example.com/${pick(EXAMPLE_WORDS)}`,
+    hostname: () => `${pick(EXAMPLE_WORDS)}.example.com`,
+    ipv4: () => `192.0.2.${1 + Math.floor(random() * 254)}`,
+    ipv6: () => `2001:db8::${hex(4)}`,
+    byte: () => Buffer.from(pick(EXAMPLE_WORDS)).toString("base64"),
+    binary: () => "<binary>",
+    password: () => "********",
+  };
+
+  let value;
+  if (byFormat[schema.format]) {
+    value = byFormat[schema.format]();
+  } else if (/e-?mail/i.test(name)) {
+    value = byFormat.email();
+  } else if (/url|uri|link/i.test(name)) {
+    value = byFormat.uri();
+  } else if (/name/i.test(name)) {
+    value = pick(EXAMPLE_NAMES);
+  } else {
+    value = pick(EXAMPLE_WORDS);
+  }
+
+  if (schema.minLength && value.length < schema.minLength) {
+    value = value.padEnd(schema.minLength, "x");
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    value = value.slice(0, schema.maxLength);
+  }
+  return value;
+};
+
+// A number within the schema's bounds, honouring exclusive bounds and multipleOf
+const exampleNumber = (schema, random) => {
+  const integer = schema.type === "integer";
+  const step = schema.multipleOf || (integer ? 1 : 0.01);
+  let minimum = schema.minimum ?? (schema.maximum !== undefined ? schema.maximum - 100 : 1);
+  let maximum = schema.maximum ?? minimum + (integer ? 999 : 100);
+  if (schema.exclusiveMinimum === true) minimum += step;
+  if (schema.exclusiveMaximum === true) maximum -= step;
+
+  const low = Math.ceil(minimum / step);
+  const high = Math.floor(maximum / step);
+  if (high < low) return minimum;
+  const value = (low + Math.floor(random() * (high - low + 1))) * step;
+  return integer ? Math.round(value) : Number(value.toFixed(2));
+};
+
+// Combine the subschemas of an allOf into one schema. Properties keep their order, and
+// keywords of the schema itself take precedence over those of its subschemas.
+const mergeAllOf = (openApiDoc, schema) => {
+  const { allOf, ...rest } = schema;
+  const merged = { properties: {}, required: [] };
+  for (const part of [...allOf, rest]) {
+    const resolved = dereference(openApiDoc, part);
+    const flattened = resolved?.allOf ? mergeAllOf(openApiDoc, resolved) : resolved || {};
+    Object.assign(merged.properties, flattened.properties);
+    merged.required.push(...(flattened.required || []));
+    for (const [key, value] of Object.entries(flattened)) {
+      if (!["properties", "required"].includes(key)) merged[key] = value;
+    }
+  }
+  merged.required = [...new Set(merged.required)];
+  if (Object.keys(merged.properties).length === 0) delete merged.properties;
+  if (merged.required.length === 0) delete merged.required;
+  return merged;
+};
+
+// Generate an example value for `schema`. `options.mode` is "minimal" (required properties
+// only) or "full", `options.direction` ("request" or "response") leaves out readOnly or
+// writeOnly properties, and a schema reached again through a $ref is only expanded
+// `options.maxDepth` times.
+const generateExample = (openApiDoc, schema, options, name = "", refs = []) => {
+  if (!schema || typeof schema !== "object") return undefined;
+  const random = options.random;
+
+  if (typeof schema.$ref === "string") {
+    const depth = refs.filter((ref) => ref === schema.$ref).length;
+    if (depth >= options.maxDepth) return undefined;
+    const resolved = dereference(openApiDoc, schema);
+    if (resolved === schema) return undefined;
+    return generateExample(openApiDoc, resolved, options, name, [...refs, schema.$ref]);
+  }
+
+  if (schema.example !== undefined) return schema.example;
+  if (schema.const !== undefined) return schema.const;
+  if (schema.default !== undefined) return schema.default;
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    const values = schema.enum.filter((value) => value !== null);
+    return values.length ? values[Math.floor(random() * values.length)] : null;
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    return generateExample(openApiDoc, mergeAllOf(openApiDoc, schema), options, name, refs);
+  }
+
+  const alternatives = schema.oneOf || schema.anyOf;
+  if (Array.isArray(alternatives) && alternatives.length > 0) {
+    const { oneOf, anyOf, discriminator, ...rest } = schema;
+    const choice = alternatives[Math.floor(random() * alternatives.length)];
+    const value = generateExample(openApiDoc, { ...rest, allOf: [choice] }, options, name, refs);
+
+    // Set the discriminator to the value that selects the chosen alternative. The value can
+    // be an example from the cached spec, so a copy is changed.
+    if (discriminator?.propertyName && value && typeof value === "object" && choice.$ref) {
+      const mapped = Object.entries(discriminator.mapping || {}).find(
+        ([, target]) => target === choice.$ref || choice.$ref.endsWith(`/${target}`),
+      );
+      const selected = structuredClone(value);
+      selected[discriminator.propertyName] = mapped ? mapped[0] : choice.$ref.split("/").pop();
+      return selected;
+    }
+    return value;
+  }
+
+  const type = [schema.type].flat().find((candidate) => candidate && candidate !== "null") ||
+    (schema.properties || schema.additionalProperties ? "object" : schema.items ? "array" : undefined);
+
+  switch (type) {
+    case "object": {
+      const hidden = options.direction === "request" ? "readOnly" : "writeOnly";
+      const required = schema.required || [];
+      const result = {};
+      for (const [property, propertySchema] of Object.entries(schema.properties || {})) {
+        if (options.mode === "minimal" && !required.includes(property)) continue;
+        if (dereference(openApiDoc, propertySchema)?.[hidden] === true) continue;
+        const value = generateExample(openApiDoc, propertySchema, options, property, refs);
+        if (value !== undefined) result[property] = value;
+      }
+      if (
+        !schema.properties &&
+        options.mode === "full" &&
+        schema.additionalProperties &&
+        typeof schema.additionalProperties === "object"
+      ) {
+        const value = generateExample(openApiDoc, schema.additionalProperties, options, "", refs);
+        if (value !== undefined) result.key = value;
+      }
+      return result;
+    }
+    case "array": {
+      const minItems = schema.minItems || 0;
+      const maxItems = schema.maxItems ?? Math.max(minItems, 2);
+      const count =
+        options.mode === "minimal"
+          ? Math.max(minItems, 1)
+          : Math.min(maxItems, Math.max(minItems, 1 + Math.floor(random() * 2)));
+      const items = [];
+      for (let i = 0; i < Math.min(count, maxItems); i++) {
+        const value = generateExample(openApiDoc, schema.items, options, name, refs);
+        if (value === undefined) break;
+        items.push(value);
+      }
+      return items;
+    }
+    case "string":
+      return exampleString(schema, name, random);
+    case "integer":
+    case "number":
+      return exampleNumber({ ...schema, type }, random);
+    case "boolean":
+      return random() < 0.5;
+    case "null":
+      return null;
+    default:
+      return schema.nullable ? null : {};
+  }
+};
+
+// Generate an example request/response body or component schema instance
+registry.tool(
+  "generate-example",
+  "Generates a realistic example request or response body for an operation, or an instance of a component schema",
+  {
+    spec: specOption,
+    path: z.string().optional().describe("API path (for request/response bodies)"),
+    method: z.string().optional().describe("HTTP method (for request/response bodies)"),
+    operationId: z.string().optional().describe("operationId, instead of path and method"),
+    direction: z.enum(["request", "response"]).default("response"),
+    statusCode: z.string().default("200").describe("Response status code (for responses)"),
+    contentType: z.string().optional().describe("Content type. Defaults to the first JSON content type"),
+    componentName: z.string().optional().describe("Schema component name, instead of path and method"),
+    mode: z
+      .enum(["minimal", "full"])
+      .default("full")
+      .describe("minimal includes required properties only, full includes all properties"),
+    seed: z.number().int().optional().describe("Seed that makes the output deterministic"),
+    maxDepth: z.number().int().min(1).default(2).describe("How often a recursive schema is expanded"),
+    format: formatOption(),
+  },
+  toolHandler(
+    ({ spec, path, method, operationId, direction, statusCode, contentType, componentName, mode, seed, maxDepth }) => {
+      const schemaPath = specPath(spec);
+      const openApiDoc = loadSchema(schemaPath);
+      if (operationId) ({ path, method } = findOperationById(openApiDoc, operationId));
+      const usedSeed = seed ?? Math.floor(Math.random() * 2 ** 31);
+      const options = { mode, direction, maxDepth, random: createRandom(usedSeed) };
+
+      if (componentName) {
+        findComponent(openApiDoc, "schemas", componentName);
+        const $ref = jsonPointer("components", "schemas", componentName);
+        return specResult(openApiDoc, {
+          component: componentName,
+          mode,
+          seed: usedSeed,
+          example: generateExample(openApiDoc, { $ref }, options) ?? null,
+        });
+      }
+
+      if (!path || !method) {
+        throw new ToolError("invalid_arguments", "Either componentName, operationId or path and method are required");
+      }
+      const operation = findOperation(openApiDoc, path, method);
+
+      let target;
+      if (direction === "request") {
+        target = dereference(openApiDoc, operation.requestBody);
+        if (!target?.content) {
+          throw new ToolError("body_not_found", `No request body defined for ${method.toUpperCase()} ${path}`);
+        }
+      } else {
+        const selected = selectResponse(operation.responses, statusCode);
+        if (!selected) {
+          throw new ToolError(
+            "response_not_found",
+            `No response for status code ${statusCode} (or default) found for ${method.toUpperCase()} ${path}`,
+            { available: Object.keys(operation.responses || {}) },
+          );
+        }
+        target = dereference(openApiDoc, selected[1]);
+        if (!target?.content) {
+          throw new ToolError("body_not_found", `Response ${selected[0]} of ${method.toUpperCase()} ${path} has no body`);
+        }
+      }
+
+      const selected = selectMediaType(target.content, contentType);
+      if (!selected) {
+        throw new ToolError("invalid_arguments", `Content type ${contentType} is not defined`, {
+          available: Object.keys(target.content),
+        });
+      }
+
+      return specResult(openApiDoc, {
+        operation: `${method.toUpperCase()} ${path}`,
+        direction,
+        ...(direction === "response" ? { statusCode } : {}),
+        contentType: selected[0],
+        mode,
+        seed: usedSeed,
+        example: generateExample(openApiDoc, selected[1].schema, options) ?? null,
+      });
+    },
+  ),
+);
+
+// TypeScript identifier for a schema or operation name, e.g. "pet-list" becomes PetList
+const typeName = (name) => {
+  const identifier = String(name)
+    .split(/[^A-Za-z0-9_$]+/)
+    .filter(Boolean)
+    .map((part) => part[0].toUpperCase() + part.slice(1))
+    .join("");
+  return /^[0-9]/.test(identifier) ? `_${identifier}` : identifier || "Unnamed";
+};
+
+const propertyKey = (name) => (/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? name : JSON.stringify(name));
+
+// JSDoc comment for a description, indented to match the declaration it documents
+const tsDocComment = (description, indent) => {
+  if (!description) return "";
+  const lines = String(description).trim().replace(/\*\//g, "*\\/").split("\n");
+  return lines.length === 1
+    ? `${indent}/** ${lines[0]} */\n`
+    : `${indent}/**\n${lines.map((line) => `${indent} * ${line}`.trimEnd()).join("\n")}\n${indent} */\n`;
+};
+
+// Wrap a type in parentheses where it is part of a larger union, intersection or array type
+const tsGroup = (type) => (/^[\w$."]+(\[\])*$|^\{[\s\S]*\}$/.test(type) ? type : `(${type})`);
+
+// Converts OpenAPI schemas to TypeScript types. Schema components that a converted schema
+// references are collected in `dependencies`, so they can be emitted as well.
+const createTypeConverter = (openApiDoc) => {
+  const dependencies = new Set();
+
+  const convert = (schema, indent = "") => {
+    if (schema === true || schema === undefined) return "unknown";
+    if (schema === false) return "never";
+    if (!schema || typeof schema !== "object") return "unknown";
+
+    if (typeof schema.$ref === "string") {
+      const match = schema.$ref.match(/^#\/components\/schemas\/([^/]+)$/);
+      if (match) {
+        const name = decodeURIComponent(match[1]).replace(/~1/g, "/").replace(/~0/g, "~");
+        dependencies.add(name);
+        return typeName(name);
+      }
+      const resolved = dereference(openApiDoc, schema);
+      return resolved === schema ? "unknown" : convert(resolved, indent);
+    }
+
+    const type = convertWithoutNull(schema, indent);
+    return schema.nullable && type !== "null" && type !== "unknown" ? `${type} | null` : type;
+  };
+
+  const convertWithoutNull = (schema, indent) => {
+    if (schema.const !== undefined) return JSON.stringify(schema.const);
+    if (Array.isArray(schema.enum)) {
+      return schema.enum.map((value) => JSON.stringify(value)).join(" | ") || "never";
+    }
+    if (Array.isArray(schema.allOf)) {
+      const { allOf, ...rest } = schema;
+      const parts = allOf.map((part) => tsGroup(convert(part, indent)));
+      if (rest.properties || rest.additionalProperties) parts.push(convertObject(rest, indent));
+      return parts.join(" & ");
+    }
+    const alternatives = schema.oneOf || schema.anyOf;
+    if (Array.isArray(alternatives)) {
+      const { oneOf, anyOf, discriminator, ...rest } = schema;
+      const union = alternatives.map((alternative) => convert(alternative, indent)).join(" | ");
+      return rest.properties ? `${convertObject(rest, indent)} & (${union})` : union;
+    }
+
+    const types = [schema.type].flat().filter(Boolean);
+    if (types.length === 0) {
+      if (schema.properties || schema.additionalProperties) return convertObject(schema, indent);
+      if (schema.items) return convertArray(schema, indent);
+      return "unknown";
+    }
+    return types
+      .map((type) => {
+        switch (type) {
+          case "object":
+            return convertObject(schema, indent);
+          case "array":
+            return convertArray(schema, indent);
+          case "integer":
+          case "number":
+            return "number";
+          case "string":
+            return "string";
+          case "boolean":
+            return "boolean";
+          case "null":
+            return "null";
+          default:
+            return "unknown";
+        }
+      })
+      .join(" | ");
+  };
+
+  const convertArray = (schema, indent) => `${tsGroup(convert(schema.items, indent))}[]`;
+
+  const convertObject = (schema, indent) => {
+    const properties = Object.entries(schema.properties || {});
+    const additional = schema.additionalProperties;
+    if (properties.length === 0) {
+      return additional && additional !== false
+        ? `Record<string, ${convert(additional, indent)}>`
+        : "Record<string, unknown>";
+    }
+
+    const required = schema.required || [];
+    const inner = `${indent}  `;
+    const lines = properties.map(([name, propertySchema]) => {
+      const resolved = dereference(openApiDoc, propertySchema) || {};
+      const readonly = resolved.readOnly ? "readonly " : "";
+      const optional = required.includes(name) ? "" : "?";
+      return `${tsDocComment(resolved.description, inner)}${inner}${readonly}${propertyKey(name)}${optional}: ${convert(propertySchema, inner)};`;
+    });
+    // Declared properties must be compatible with an index signature, so keep it loose
+    if (additional && additional !== false) lines.push(`${inner}[key: string]: unknown;`);
+    return `{\n${lines.join("\n")}\n${indent}}`;
+  };
+
+  return { convert, dependencies };
+};
+
+// Emit a declaration for `name`: an interface for plain object schemas, else a type alias
+const tsDeclaration = (name, schema, type) => {
+  const keyword = /^\{[\s\S]*\}$/.test(type) ? `interface ${name} ` : `type ${name} = `;
+  return `${tsDocComment(schema?.description, "")}export ${keyword}${type}${keyword.startsWith("type") ? ";" : ""}`;
+};
+
+// TypeScript declarations for schema components and (optionally) the operation `target`,
+// followed by every component they depend on, as one source text
+const generateTypeScript = (openApiDoc, { components = [], target }) => {
+  const { convert, dependencies } = createTypeConverter(openApiDoc);
+  const declarations = [];
+
+  if (target) {
+    const { path, method, pathItem, operation } = target;
+    const prefix = typeName(operation.operationId || `${method} ${path.replace(/[{}]/g, "")}`);
+    const parameters = operationParameters(openApiDoc, pathItem, operation);
+
+    for (const location of ["path", "query", "header", "cookie"]) {
+      const defined = parameters.filter((parameter) => parameter.in === location);
+      if (defined.length === 0) continue;
+      const schema = {
+        type: "object",
+        required: defined.filter((parameter) => parameter.required).map((parameter) => parameter.name),
+        properties: Object.fromEntries(
+          defined.map((parameter) => [
+            parameter.name,
+            {
+              ...(parameter.schema || selectMediaType(parameter.content)?.[1]?.schema || {}),
+              ...(parameter.description ? { description: parameter.description } : {}),
+            },
+          ]),
+        ),
+      };
+      const name = `${prefix}${typeName(location)}Params`;
+      declarations.push(tsDeclaration(name, {}, convert(schema)));
+    }
+
+    const requestBody = dereference(openApiDoc, operation.requestBody);
+    const requestSchema = selectMediaType(requestBody?.content)?.[1]?.schema;
+    if (requestSchema) {
+      const type = convert(requestSchema);
+      declarations.push(tsDeclaration(`${prefix}RequestBody`, requestBody, type));
+    }
+
+    const responseNames = [];
+    for (const [status, responseObject] of Object.entries(operation.responses || {})) {
+      const response = dereference(openApiDoc, responseObject);
+      const schema = selectMediaType(response?.content)?.[1]?.schema;
+      const name = `${prefix}Response${/^\w+$/.test(status) ? status[0].toUpperCase() + status.slice(1) : typeName(status)}`;
+      declarations.push(tsDeclaration(name, response, schema ? convert(schema) : "void"));
+      responseNames.push([status, name]);
+    }
+    if (responseNames.length > 0) {
+      declarations.push(
+        `/** Response bodies of ${method.toUpperCase()} ${path} by status code */\nexport interface ${prefix}Responses {\n${responseNames
+          .map(([status, name]) => `  ${propertyKey(status)}: ${name};`)
+          .join("\n")}\n}`,
+      );
+    }
+  }
+
+  // Emit requested components, then every component they depend on, each once
+  for (const name of components) {
+    findComponent(openApiDoc, "schemas", name);
+    dependencies.add(name);
+  }
+  const emitted = new Set();
+  const componentDeclarations = [];
+  for (let pending = [...dependencies]; pending.length > 0; pending = [...dependencies].filter((name) => !emitted.has(name))) {
+    for (const name of pending) {
+      emitted.add(name);
+      const schema = openApiDoc.components?.schemas?.[name];
+      componentDeclarations.push(tsDeclaration(typeName(name), schema, schema ? convert(schema) : "unknown"));
+    }
+  }
+
+  return [`// Generated from ${specVersion(openApiDoc)} spec`, ...declarations, ...componentDeclarations].join("\n\n");
+};
+
+// Generate TypeScript types for schema components and operations
+registry.tool(
+  "generate-types",
+  "Generates TypeScript interfaces and type aliases for schema components, or for an operation's parameters, request body and responses. Referenced components are included so the output compiles on its own",
+  {
+    spec: specOption,
+    components: z.array(z.string()).optional().describe("Names of schema components to generate types for"),
+    path: z.string().optional().describe("API path of an operation to generate types for"),
+    method: z.string().optional().describe("HTTP method of the operation"),
+    operationId: z.string().optional().describe("operationId of the operation, instead of path and method"),
+    format: formatOption("text"),
+  },
+  toolHandler(
+    ({ spec, components = [], path, method, operationId }) => {
+      const schemaPath = specPath(spec);
+      const openApiDoc = loadSchema(schemaPath);
+      if (components.length === 0 && !operationId && !(path && method)) {
+        throw new ToolError("invalid_arguments", "Either components, operationId or path and method are required");
+      }
+
+      const target = operationId || (path && method) ? findTarget(openApiDoc, { operationId, path, method }) : undefined;
+      const code = generateTypeScript(openApiDoc, { components, target });
+      return specResult(openApiDoc, { language: "typescript", code });
+    },
+    {
+      text: ({ value }) => value.code,
+    },
+  ),
+);
+
+// Base URL of the first server that applies to an operation, with variables replaced by
+// their defaults. Relative server URLs are resolved against http://localhost.
+const serverUrl = (openApiDoc, pathItem, operation) => {
+  const server = (operation?.servers || pathItem?.servers || openApiDoc.servers || [])[0];
+  if (!server?.url) return "http://localhost";
+  const url = server.url.replace(/\{([^}]+)\}/g, (match, name) => server.variables?.[name]?.default ?? match);
+  return new URL(url, "http://localhost").href.replace(/\/$/, "");
+};
+
+// Percent-encode a parameter value. allowReserved keeps characters such as / and ? as-is.
+const encodeValue = (value, allowReserved) =>
+  allowReserved
+    ? encodeURI(String(value)).replace(/[#&=+]/g, (char) => encodeURIComponent(char))
+    : encodeURIComponent(String(value));
+
+// Serialize a path parameter per its style (simple, label or matrix) and explode setting
+const serializePathParameter = (parameter, value) => {
+  const style = parameter.style || "simple";
+  const explode = parameter.explode ?? false;
+  const name = parameter.name;
+  const encode = (item) => encodeValue(item, parameter.allowReserved);
+  const prefix = { simple: "", label: ".", matrix: `;${name}=` }[style] ?? "";
+
+  if (Array.isArray(value)) {
+    if (style === "matrix" && explode) return value.map((item) => `;${name}=${encode(item)}`).join("");
+    return `${prefix}${value.map(encode).join(explode && style === "label" ? "." : ",")}`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.entries(value);
+    if (explode) {
+      const separator = { simple: ",", label: ".", matrix: ";" }[style] ?? ",";
+      return `${style === "matrix" ? ";" : prefix}${entries.map(([key, item]) => `${key}=${encode(item)}`).join(separator)}`;
+    }
+    return `${prefix}${entries.flatMap(([key, item]) => [key, encode(item)]).join(",")}`;
+  }
+  return `${prefix}${encode(value)}`;
+};
+
+// Serialize a query parameter per its style (form, spaceDelimited, pipeDelimited or
+// deepObject) and explode setting, as encoded name=value pairs
+const serializeQueryParameter = (parameter, value) => {
+  const style = parameter.style || "form";
+  const explode = parameter.explode ?? style === "form";
+  const name = encodeURIComponent(parameter.name);
+  const encode = (item) => encodeValue(item, parameter.allowReserved);
+
+  if (Array.isArray(value)) {
+    if (explode) return value.map((item) => `${name}=${encode(item)}`);
+    const delimiter = { spaceDelimited: "%20", pipeDelimited: "|" }[style] ?? ",";
+    return [`${name}=${value.map(encode).join(delimiter)}`];
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.entries(value);
+    if (style === "deepObject") {
+      return entries.map(([key, item]) => `${name}%5B${encodeURIComponent(key)}%5D=${encode(item)}`);
+    }
+    if (explode) return entries.map(([key, item]) => `${encodeURIComponent(key)}=${encode(item)}`);
+    return [`${name}=${entries.flatMap(([key, item]) => [encodeURIComponent(key), encode(item)]).join(",")}`];
+  }
+  return [`${name}=${encode(value)}`];
+};
+
+// Serialize a header parameter, which always uses the simple style
+const serializeHeaderParameter = (parameter, value) => {
+  if (Array.isArray(value)) return value.join(",");
+  if (value && typeof value === "object") {
+    return Object.entries(value)
+      .map(([key, item]) => (parameter.explode ? `${key}=${item}` : `${key},${item}`))
+      .join(",");
+  }
+  return String(value);
+};
+
+// Serialize a cookie parameter, which uses the form style
+const serializeCookieParameter = (parameter, value) => {
+  if (Array.isArray(value)) {
+    return parameter.explode === false
+      ? `${parameter.name}=${value.join(",")}`
+      : value.map((item) => `${parameter.name}=${item}`).join("; ");
+  }
+  if (value && typeof value === "object") {
+    return `${parameter.name}=${Object.entries(value).flat().join(",")}`;
+  }
+  return `${parameter.name}=${value}`;
+};
+
+// Security requirements that apply to an operation: its own, or else the document's
+const operationSecurity = (openApiDoc, operation) => operation.security ?? openApiDoc.security ?? [];
+
+// Build an HTTP request for an operation from argument values. Required parameters without
+// a value get their example or a <name> placeholder, and credentials for the schemes of
+// `requirement` come from `credentials(schemeName, scheme)`, which returns placeholders
+// for snippets and real values for calls.
+const buildRequest = (
+  openApiDoc,
+  { path, method, pathItem, operation },
+  values,
+  credentials,
+  requirement = operationSecurity(openApiDoc, operation)[0],
+) => {
+  const parameters = operationParameters(openApiDoc, pathItem, operation);
+  const supplied = {
+    path: values.pathParams || {},
+    query: values.query || {},
+    header: values.headers || {},
+    cookie: values.cookies || {},
+  };
+  const valueOf = (parameter) => {
+    const value = supplied[parameter.in][parameter.name];
+    if (value !== undefined) return value;
+    if (!parameter.required) return undefined;
+    const schema = dereference(openApiDoc, parameter.schema);
+    return parameter.example ?? schema?.example ?? schema?.default ?? `<${parameter.name}>`;
+  };
+
+  let resolvedPath = path;
+  const query = [];
+  const headers = {};
+  const cookies = [];
+  for (const parameter of parameters) {
+    const value = valueOf(parameter);
+    if (value === undefined) continue;
+    if (parameter.in === "path") {
+      resolvedPath = resolvedPath.replace(`{${parameter.name}}`, serializePathParameter(parameter, value));
+    } else if (parameter.in === "query") {
+      query.push(...serializeQueryParameter(parameter, value));
+    } else if (parameter.in === "header") {
+      headers[parameter.name] = serializeHeaderParameter(parameter, value);
+    } else if (parameter.in === "cookie") {
+      cookies.push(serializeCookieParameter(parameter, value));
+    }
+  }
+
+  // Apply one security requirement (the first, unless the caller picks another)
+  let auth;
+  for (const schemeName of Object.keys(requirement || {})) {
+    const scheme = dereference(openApiDoc, openApiDoc.components?.securitySchemes?.[schemeName]);
+    if (!scheme) continue;
+    const credential = credentials(schemeName, scheme);
+    if (scheme.type === "apiKey") {
+      if (scheme.in === "header") headers[scheme.name] = credential;
+      else if (scheme.in === "query") query.push(`${encodeURIComponent(scheme.name)}=${encodeValue(credential)}`);
+      else if (scheme.in === "cookie") cookies.push(`${scheme.name}=${credential}`);
+    } else if (scheme.type === "http" && scheme.scheme?.toLowerCase() === "basic") {
+      auth = credential;
+      headers.Authorization = `Basic ${
+        credential.username.startsWith("<")
+          ? "<BASE64_CREDENTIALS>"
+          : Buffer.from(`${credential.username}:${credential.password}`).toString("base64")
+      }`;
+    } else if (scheme.type === "http") {
+      headers.Authorization = `${scheme.scheme?.toLowerCase() === "bearer" ? "Bearer" : scheme.scheme} ${credential}`;
+    } else if (scheme.type === "oauth2" || scheme.type === "openIdConnect") {
+      headers.Authorization = `Bearer ${credential}`;
+    }
+  }
+  if (cookies.length > 0) headers.Cookie = cookies.join("; ");
+
+  let body;
+  let contentType;
+  const requestBody = dereference(openApiDoc, operation.requestBody);
+  const selected = selectMediaType(requestBody?.content, values.contentType);
+  if (selected && (values.body !== undefined || requestBody.required)) {
+    contentType = selected[0];
+    body =
+      values.body ??
+      selected[1]?.example ??
+      Object.values(selected[1]?.examples || {})[0]?.value ??
+      generateExample(openApiDoc, selected[1]?.schema, {
+        mode: "minimal",
+        direction: "request",
+        maxDepth: 1,
+        random: createRandom(1),
+      });
+    if (!/^multipart\//i.test(contentType)) headers["Content-Type"] = contentType;
+  }
+
+  const baseUrl = values.server || serverUrl(openApiDoc, pathItem, operation);
+  // Placeholders stay readable rather than percent-encoded
+  const url = `${baseUrl}${resolvedPath}${query.length ? `?${query.join("&")}` : ""}`.replace(
+    /%3C([\w.-]+)%3E/g,
+    "<$1>",
+  );
+  return {
+    method: method.toUpperCase(),
+    url,
+    headers,
+    contentType,
+    body,
+    auth,
+  };
+};
+
+// Security scheme name in upper snake case, e.g. API_KEY_AUTH for apiKeyAuth
+const schemeConstantName = (schemeName) =>
+  schemeName
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .replace(/[^A-Za-z0-9]+/g, "_")
+    .toUpperCase();
+
+// Placeholder credentials for snippets, named after the security scheme
+const placeholderCredentials = (schemeName, scheme) => {
+  const name = schemeConstantName(schemeName);
+  if (scheme.type === "http" && scheme.scheme?.toLowerCase() === "basic") {
+    return { username: "<USERNAME>", password: "<PASSWORD>" };
+  }
+  if (scheme.type === "apiKey") return `<${name}>`;
+  return `<${name}_TOKEN>`;
+};
+
+const shellQuote = (value) => `'${String(value).replace(/'/g, "'\\''")}'`;
+
+const isJsonType = (contentType) => /[/+]json\b/i.test(contentType || "");
+
+// Render a request built by buildRequest as a snippet in `language`
+const renderSnippet = (request, language) => {
+  const { method, url, headers, contentType, body, auth } = request;
+  const form = /x-www-form-urlencoded/i.test(contentType || "");
+  const multipart = /^multipart\//i.test(contentType || "");
+  const bodyText =
+    body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body, null, 2);
+  const formFields = body && typeof body === "object" ? Object.entries(body) : [];
+  const pythonLiteral = (value) =>
+    JSON.stringify(value, null, 4)
+      .replace(/\btrue\b/g, "True")
+      .replace(/\bfalse\b/g, "False")
+      .replace(/\bnull\b/g, "None");
+
+  if (language === "curl") {
+    const lines = [`curl -X ${method} ${shellQuote(url)}`];
+    for (const [name, value] of Object.entries(headers)) {
+      if (auth && name === "Authorization") continue;
+      lines.push(`-H ${shellQuote(`${name}: ${value}`)}`);
+    }
+    if (auth) lines.push(`-u ${shellQuote(`${auth.username}:${auth.password}`)}`);
+    if (multipart) {
+      for (const [name, value] of formFields) {
+        lines.push(`-F ${shellQuote(`${name}=${value === "<binary>" ? "@path/to/file" : value}`)}`);
+      }
+    } else if (form) {
+      for (const [name, value] of formFields) lines.push(`--data-urlencode ${shellQuote(`${name}=${value}`)}`);
+    } else if (bodyText !== undefined) {
+      lines.push(`-d ${shellQuote(bodyText)}`);
+    }
+    return lines.join(" \\\n  ");
+  }
+
+  if (language === "fetch") {
+    const lines = [];
+    let bodyExpression;
+    if (multipart) {
+      lines.push("const body = new FormData();");
+      for (const [name, value] of formFields) {
+        lines.push(`body.append(${JSON.stringify(name)}, ${value === "<binary>" ? "new Blob([/* file contents */])" : JSON.stringify(String(value))});`);
+      }
+      lines.push("");
+      bodyExpression = "body";
+    } else if (form) {
+      bodyExpression = `new URLSearchParams(${JSON.stringify(Object.fromEntries(formFields.map(([name, value]) => [name, String(value)])))})`;
+    } else if (bodyText !== undefined) {
+      bodyExpression = isJsonType(contentType) ? `JSON.stringify(${bodyText.replace(/\n/g, "\n  ")})` : JSON.stringify(bodyText);
+    }
+    const init = [`  method: ${JSON.stringify(method)},`];
+    if (Object.keys(headers).length > 0) {
+      init.push(`  headers: ${JSON.stringify(headers, null, 2).replace(/\n/g, "\n  ")},`);
+    }
+    if (bodyExpression) init.push(`  body: ${bodyExpression},`);
+    lines.push(
+      `const response = await fetch(${JSON.stringify(url)}, {`,
+      ...init,
+      "});",
+      "const data = await response.json();",
+    );
+    return lines.join("\n");
+  }
+
+  // Python requests
+  const lines = ["import requests", ""];
+  const args = [JSON.stringify(url)];
+  const pythonHeaders = Object.fromEntries(
+    Object.entries(headers).filter(([name]) => !(auth && name === "Authorization")),
+  );
+  if (Object.keys(pythonHeaders).length > 0) {
+    lines.push(`headers = ${pythonLiteral(pythonHeaders)}`);
+    args.push("headers=headers");
+  }
+  if (multipart) {
+    const files = formFields.filter(([, value]) => value === "<binary>");
+    const data = formFields.filter(([, value]) => value !== "<binary>");
+    if (files.length) {
+      lines.push(`files = {${files.map(([name]) => `${JSON.stringify(name)}: open("path/to/file", "rb")`).join(", ")}}`);
+      args.push("files=files");
+    }
+    if (data.length) {
+      lines.push(`data = ${pythonLiteral(Object.fromEntries(data))}`);
+      args.push("data=data");
+    }
+  } else if (form) {
+    lines.push(`data = ${pythonLiteral(Object.fromEntries(formFields))}`);
+    args.push("data=data");
+  } else if (bodyText !== undefined) {
+    if (isJsonType(contentType)) {
+      lines.push(`payload = ${pythonLiteral(body)}`);
+      args.push("json=payload");
+    } else {
+      lines.push(`data = ${JSON.stringify(bodyText)}`);
+      args.push("data=data");
+    }
+  }
+  if (auth) args.push(`auth=(${JSON.stringify(auth.username)}, ${JSON.stringify(auth.password)})`);
+  lines.push(
+    "",
+    `response = requests.${method.toLowerCase()}(${args.join(", ")})`,
+    "print(response.status_code, response.text)",
+  );
+  return lines.join("\n");
+};
+
+// Generate a request snippet for an operation
+registry.tool(
+  "generate-request-snippet",
+  "Generates a ready-to-run curl, fetch or Python requests snippet for an operation, with parameters serialized per the spec and placeholders for credentials",
+  {
+    spec: specOption,
+    ...operationOptions,
+    language: z.enum(["curl", "fetch", "python"]).default("curl"),
+    pathParams: z.record(z.any()).optional().describe("Path parameter values"),
+    query: z.record(z.any()).optional().describe("Query parameter values"),
+    headers: z.record(z.any()).optional().describe("Header parameter values"),
+    cookies: z.record(z.any()).optional().describe("Cookie parameter values"),
+    body: z.any().optional().describe("Request body. Defaults to the spec's example or a generated one"),
+    contentType: z.string().optional().describe("Request content type. Defaults to the first JSON content type"),
+    server: z.string().optional().describe("Base URL. Defaults to the first entry in servers"),
+    format: formatOption("text"),
+  },
+  toolHandler(
+    ({ spec, path, method, operationId, language, format, ...values }) => {
+      const schemaPath = specPath(spec);
+      const openApiDoc = loadSchema(schemaPath);
+
+      const target = findTarget(openApiDoc, { operationId, path, method });
+
+      const request = buildRequest(openApiDoc, target, values, placeholderCredentials);
+      const comment = language === "fetch" ? "//" : "#";
+      const security = operationSecurity(openApiDoc, target.operation);
+      const header = [
+        `${comment} ${target.method.toUpperCase()} ${target.path}${target.operation.summary ? ` - ${target.operation.summary}` : ""} (${specVersion(openApiDoc)})`,
+        ...(security.length > 1
+          ? [`${comment} Uses security requirement ${Object.keys(security[0]).join(" + ")}; alternatives: ${security.slice(1).map((requirement) => Object.keys(requirement).join(" + ") || "none").join(", ")}`]
+          : []),
+      ];
+
+      return specResult(
+        openApiDoc,
+        {
+          operation: `${target.method.toUpperCase()} ${target.path}`,
+          language,
+          ...(security.length > 1
+            ? { security: Object.keys(security[0]), alternatives: security.slice(1).map((requirement) => Object.keys(requirement)) }
+            : {}),
+          snippet: renderSnippet(request, language),
+        },
+        { header },
+      );
+    },
+    {
+      text: ({ header, value }) => `${header.join("\n")}\n${value.snippet}`,
+    },
+  ),
+);
+
+// Compare the schemas of two documents, as seen by a payload sent in `direction`. Changes
+// that can break existing clients are flagged: in requests anything the old payload may no
+// longer satisfy, in responses anything a client may not expect.
+const diffSchemas = (context, base, revision, pointers, direction, changes, seen = new Set()) => {
+  const follow = (doc, schema, pointer) => {
+    let current = schema;
+    let currentPointer = pointer;
+    while (typeof current?.$ref === "string" && current.$ref.startsWith("#")) {
+      const resolved = dereference(doc, { $ref: current.$ref });
+      if (resolved === current || resolved?.$ref === current.$ref) break;
+      currentPointer = current.$ref;
+      current = resolved;
+    }
+    return [current?.allOf ? mergeAllOf(doc, current) : current, currentPointer];
+  };
+  const [baseSchema, basePointer] = follow(context.base, base, pointers.base);
+  const [revisionSchema, revisionPointer] = follow(context.revision, revision, pointers.revision);
+  if (!baseSchema || !revisionSchema) return;
+
+  // Recursive schemas are compared once per pair of locations
+  const key = `${basePointer} ${revisionPointer} ${direction}`;
+  if (seen.has(key)) return;
+  seen.add(key);
+
+  const request = direction === "request";
+  const add = (breaking, message, location = revisionPointer) =>
+    changes.push({ location, breaking, message });
+
+  const baseTypes = [baseSchema.type].flat().filter(Boolean).sort().join("|");
+  const revisionTypes = [revisionSchema.type].flat().filter(Boolean).sort().join("|");
+  if (baseTypes !== revisionTypes && baseTypes && revisionTypes) {
+    add(true, `type changed from ${baseTypes} to ${revisionTypes}`);
+    return;
+  }
+
+  if (!baseSchema.nullable !== !revisionSchema.nullable) {
+    add(
+      request ? !revisionSchema.nullable : !!revisionSchema.nullable,
+      revisionSchema.nullable ? "became nullable" : "is no longer nullable",
+    );
+  }
+
+  if (Array.isArray(baseSchema.enum) || Array.isArray(revisionSchema.enum)) {
+    const baseValues = (baseSchema.enum || []).map((value) => JSON.stringify(value));
+    const revisionValues = (revisionSchema.enum || []).map((value) => JSON.stringify(value));
+    const removed = baseValues.filter((value) => !revisionValues.includes(value));
+    const added = revisionValues.filter((value) => !baseValues.includes(value));
+    if (!revisionSchema.enum) add(!request, "enum constraint removed");
+    else if (!baseSchema.enum) add(request, "enum constraint added");
+    else {
+      if (removed.length) add(request, `enum values removed: ${removed.join(", ")}`);
+      if (added.length) add(!request, `enum values added: ${added.join(", ")}`);
+    }
+  }
+
+  // Tighter bounds break requests, looser bounds break responses
+  for (const [keyword, tighter] of [
+    ["maxLength", (a, b) => b < a],
+    ["minLength", (a, b) => b > a],
+    ["maximum", (a, b) => b < a],
+    ["minimum", (a, b) => b > a],
+    ["maxItems", (a, b) => b < a],
+    ["minItems", (a, b) => b > a],
+  ]) {
+    const before = baseSchema[keyword];
+    const after = revisionSchema[keyword];
+    if (before === after) continue;
+    const isTighter = after !== undefined && (before === undefined || tighter(before, after));
+    add(request ? isTighter : !isTighter, `${keyword} changed from ${before ?? "none"} to ${after ?? "none"}`);
+  }
+  if (baseSchema.pattern !== revisionSchema.pattern) {
+    add(request ? !!revisionSchema.pattern : !!baseSchema.pattern, `pattern changed from ${baseSchema.pattern ?? "none"} to ${revisionSchema.pattern ?? "none"}`);
+  }
+
+  const baseProperties = baseSchema.properties || {};
+  const revisionProperties = revisionSchema.properties || {};
+  const baseRequired = baseSchema.required || [];
+  const revisionRequired = revisionSchema.required || [];
+  const propertyPointer = (pointer, name) => `${pointer}/properties/${jsonPointer(name).slice(2)}`;
+
+  for (const name of Object.keys(baseProperties)) {
+    if (!(name in revisionProperties)) {
+      add(!request, `property '${name}' removed`, propertyPointer(basePointer, name));
+    }
+  }
+  for (const name of Object.keys(revisionProperties)) {
+    if (!(name in baseProperties)) {
+      const required = revisionRequired.includes(name);
+      add(request && required, `${required ? "required" : "optional"} property '${name}' added`, propertyPointer(revisionPointer, name));
+      continue;
+    }
+    if (!baseRequired.includes(name) && revisionRequired.includes(name)) {
+      add(request, `property '${name}' became required`, propertyPointer(revisionPointer, name));
+    } else if (baseRequired.includes(name) && !revisionRequired.includes(name)) {
+      add(!request, `property '${name}' became optional`, propertyPointer(revisionPointer, name));
+    }
+    diffSchemas(
+      context,
+      baseProperties[name],
+      revisionProperties[name],
+      { base: propertyPointer(basePointer, name), revision: propertyPointer(revisionPointer, name) },
+      direction,
+      changes,
+      seen,
+    );
+  }
+
+  if (baseSchema.items || revisionSchema.items) {
+    diffSchemas(
+      context,
+      baseSchema.items,
+      revisionSchema.items,
+      { base: `${basePointer}/items`, revision: `${revisionPointer}/items` },
+      direction,
+      changes,
+      seen,
+    );
+  }
+
+  for (const keyword of ["oneOf", "anyOf"]) {
+    const baseAlternatives = (baseSchema[keyword] || []).map((alternative) => JSON.stringify(alternative));
+    const revisionAlternatives = (revisionSchema[keyword] || []).map((alternative) => JSON.stringify(alternative));
+    const removed = baseAlternatives.filter((alternative) => !revisionAlternatives.includes(alternative));
+    const added = revisionAlternatives.filter((alternative) => !baseAlternatives.includes(alternative));
+    if (removed.length) add(request, `${removed.length} ${keyword} alternative(s) removed`);
+    if (added.length) add(!request, `${added.length} ${keyword} alternative(s) added`);
+  }
+};
+
+// Key that matches operations whose paths differ only in path parameter names
+const operationKey = (method, path) => `${method.toUpperCase()} ${path.replace(/\{[^}]*\}/g, "{}")}`;
+
+// Compare two documents operation by operation
+const diffDocuments = (base, revision) => {
+  const context = { base, revision };
+  const changes = [];
+  const baseOperations = new Map(listOperations(base).map((entry) => [operationKey(entry.method, entry.path), entry]));
+  const revisionOperations = new Map(
+    listOperations(revision).map((entry) => [operationKey(entry.method, entry.path), entry]),
+  );
+
+  for (const [key, { path, method }] of baseOperations) {
+    if (!revisionOperations.has(key)) {
+      changes.push({
+        operation: `${method.toUpperCase()} ${path}`,
+        location: jsonPointer("paths", path, method),
+        breaking: true,
+        message: "operation removed",
+      });
+    }
+  }
+
+  for (const [key, current] of revisionOperations) {
+    const operationName = `${current.method.toUpperCase()} ${current.path}`;
+    const previous = baseOperations.get(key);
+    const location = jsonPointer("paths", current.path, current.method);
+    const operationChanges = [];
+    const add = (breaking, message, at = location) => operationChanges.push({ location: at, breaking, message });
+
+    if (!previous) {
+      add(false, "operation added");
+      changes.push(...operationChanges.map((change) => ({ operation: operationName, ...change })));
+      continue;
+    }
+    const basePointer = jsonPointer("paths", previous.path, previous.method);
+
+    if (!previous.operation.deprecated && current.operation.deprecated) add(false, "operation deprecated");
+
+    // Parameters, matched by location and name
+    const baseParameters = operationParameters(base, previous.pathItem, previous.operation);
+    const revisionParameters = operationParameters(revision, current.pathItem, current.operation);
+    const parameterPointer = (pointer, entry, parameter) => {
+      const index = (entry.operation.parameters || []).findIndex(
+        (candidate) => dereference(entry === previous ? base : revision, candidate) === parameter,
+      );
+      return index >= 0 ? `${pointer}/parameters/${index}` : `${pointer}/parameters`;
+    };
+    for (const parameter of baseParameters) {
+      const match = revisionParameters.find((candidate) => candidate.in === parameter.in && candidate.name === parameter.name);
+      if (!match && parameter.in !== "path") {
+        add(false, `${parameter.in} parameter '${parameter.name}' removed`, parameterPointer(basePointer, previous, parameter));
+      }
+    }
+    for (const parameter of revisionParameters) {
+      const at = parameterPointer(location, current, parameter);
+      const match = baseParameters.find((candidate) => candidate.in === parameter.in && candidate.name === parameter.name);
+      if (!match) {
+        if (parameter.in !== "path") {
+          add(!!parameter.required, `${parameter.required ? "required" : "optional"} ${parameter.in} parameter '${parameter.name}' added`, at);
+        }
+        continue;
+      }
+      if (!match.required && parameter.required) {
+        add(true, `${parameter.in} parameter '${parameter.name}' became required`, at);
+      } else if (match.required && !parameter.required) {
+        add(false, `${parameter.in} parameter '${parameter.name}' became optional`, at);
+      }
+      if ((match.style || "") !== (parameter.style || "") || match.explode !== parameter.explode) {
+        add(true, `${parameter.in} parameter '${parameter.name}' serialization changed`, at);
+      }
+      const schemaChanges = [];
+      diffSchemas(context, match.schema, parameter.schema, { base: `${parameterPointer(basePointer, previous, match)}/schema`, revision: `${at}/schema` }, "request", schemaChanges);
+      operationChanges.push(
+        ...schemaChanges.map((change) => ({ ...change, message: `${parameter.in} parameter '${parameter.name}': ${change.message}` })),
+      );
+    }
+
+    // Request body
+    const baseBody = dereference(base, previous.operation.requestBody);
+    const revisionBody = dereference(revision, current.operation.requestBody);
+    if (!baseBody && revisionBody) {
+      add(!!revisionBody.required, `${revisionBody.required ? "required" : "optional"} request body added`, `${location}/requestBody`);
+    } else if (baseBody && !revisionBody) {
+      add(false, "request body removed", `${basePointer}/requestBody`);
+    } else if (baseBody && revisionBody) {
+      if (!baseBody.required && revisionBody.required) add(true, "request body became required", `${location}/requestBody`);
+      for (const [mediaType, content] of Object.entries(baseBody.content || {})) {
+        const revisionContent = revisionBody.content?.[mediaType];
+        const at = `${location}/requestBody/content/${jsonPointer(mediaType).slice(2)}`;
+        if (!revisionContent) {
+          add(true, `request content type ${mediaType} removed`, `${basePointer}/requestBody/content/${jsonPointer(mediaType).slice(2)}`);
+          continue;
+        }
+        const schemaChanges = [];
+        diffSchemas(context, content.schema, revisionContent.schema, { base: `${basePointer}/requestBody/content/${jsonPointer(mediaType).slice(2)}/schema`, revision: `${at}/schema` }, "request", schemaChanges);
+        operationChanges.push(...schemaChanges.map((change) => ({ ...change, message: `request body: ${change.message}` })));
+      }
+      for (const mediaType of Object.keys(revisionBody.content || {})) {
+        if (!baseBody.content?.[mediaType]) {
+          add(false, `request content type ${mediaType} added`, `${location}/requestBody/content/${jsonPointer(mediaType).slice(2)}`);
+        }
+      }
+    }
+
+    // Responses
+    const baseResponses = previous.operation.responses || {};
+    const revisionResponses = current.operation.responses || {};
+    for (const status of Object.keys(baseResponses)) {
+      if (!(status in revisionResponses)) add(true, `response ${status} removed`, `${basePointer}/responses/${status}`);
+    }
+    for (const [status, responseObject] of Object.entries(revisionResponses)) {
+      const at = `${location}/responses/${jsonPointer(status).slice(2)}`;
+      if (!(status in baseResponses)) {
+        add(false, `response ${status} added`, at);
+        continue;
+      }
+      const baseResponse = dereference(base, baseResponses[status]);
+      const revisionResponse = dereference(revision, responseObject);
+      for (const [mediaType, content] of Object.entries(baseResponse?.content || {})) {
+        const revisionContent = revisionResponse?.content?.[mediaType];
+        const contentPointer = `/content/${jsonPointer(mediaType).slice(2)}`;
+        if (!revisionContent) {
+          add(true, `response ${status} content type ${mediaType} removed`, `${basePointer}/responses/${status}${contentPointer}`);
+          continue;
+        }
+        const schemaChanges = [];
+        diffSchemas(context, content.schema, revisionContent.schema, { base: `${basePointer}/responses/${status}${contentPointer}/schema`, revision: `${at}${contentPointer}/schema` }, "response", schemaChanges);
+        operationChanges.push(
+          ...schemaChanges.map((change) => ({ ...change, message: `response ${status}: ${change.message}` })),
+        );
+      }
+      for (const mediaType of Object.keys(revisionResponse?.content || {})) {
+        if (!baseResponse?.content?.[mediaType]) {
+          add(false, `response ${status} content type ${mediaType} added`, `${at}/content/${jsonPointer(mediaType).slice(2)}`);
+        }
+      }
+    }
+
+    // Security requirements, compared as sets of alternatives
+    const describeRequirement = (requirement) =>
+      Object.entries(requirement)
+        .map(([scheme, scopes]) => (scopes?.length ? `${scheme}[${[...scopes].sort().join(",")}]` : scheme))
+        .sort()
+        .join(" + ") || "none";
+    const baseSecurity = operationSecurity(base, previous.operation).map(describeRequirement);
+    const revisionSecurity = operationSecurity(revision, current.operation).map(describeRequirement);
+    const securityPointer = current.operation.security ? `${location}/security` : "#/security";
+    if (baseSecurity.length === 0 && revisionSecurity.length > 0) {
+      add(true, `authentication now required: ${revisionSecurity.join(" or ")}`, securityPointer);
+    } else if (baseSecurity.length > 0 && revisionSecurity.length === 0) {
+      add(false, "authentication no longer required", securityPointer);
+    } else {
+      for (const requirement of baseSecurity.filter((item) => !revisionSecurity.includes(item))) {
+        add(requirement !== "none", `security requirement ${requirement} removed`, securityPointer);
+      }
+      for (const requirement of revisionSecurity.filter((item) => !baseSecurity.includes(item))) {
+        add(false, `security requirement ${requirement} added`, securityPointer);
+      }
+    }
+
+    changes.push(...operationChanges.map((change) => ({ operation: operationName, ...change })));
+  }
+
+  return changes;
+};
+
+// Markdown changelog of a diff-specs result
+const changelog = ({ value: { base, revision, changes } }) => {
+  const breaking = changes.filter((change) => change.breaking);
+  const nonBreaking = changes.filter((change) => !change.breaking);
+  const section = (title, items) =>
+    items.length
+      ? [`### ${title}`, "", ...items.map((change) => `- \`${change.operation}\`: ${change.message}`), ""]
+      : [];
+  return [
+    `## API changes: ${base} → ${revision}`,
+    "",
+    changes.length ? `**${breaking.length} breaking**, ${nonBreaking.length} non-breaking` : "No changes to operations.",
+    "",
+    ...section("Breaking changes", breaking),
+    ...section("Non-breaking changes", nonBreaking),
+  ].join("\n");
+};
+
+// Compare two specs and classify the changes
+registry.tool(
+  "diff-specs",
+  "Compares two registered specs (e.g. two versions of an API) and lists added, removed and changed operations, parameters, schemas, enums and security requirements, each labelled breaking or non-breaking",
+  {
+    base: z.string().describe("Alias of the old spec (see list-specs)"),
+    revision: z.string().describe("Alias of the new spec (see list-specs)"),
+    format: z
+      .enum([...OUTPUT_FORMATS, "summary"])
+      .optional()
+      .describe(
+        `yaml or json list every change with its location (json is also returned as structured content), summary is a markdown changelog. Defaults to ${defaultFormat}`,
+      ),
+  },
+  toolHandler(({ base, revision }) => {
+    const baseDoc = loadSchema(specPath(base));
+    const revisionDoc = loadSchema(specPath(revision));
+    const changes = diffDocuments(baseDoc, revisionDoc);
+    const breaking = changes.filter((change) => change.breaking);
+    const nonBreaking = changes.filter((change) => !change.breaking);
+    const describe = (alias, doc) => `${alias} (${doc.info?.version ?? "unversioned"}, ${specVersion(doc)})`;
+
+    return dataResult({
+      base: describe(base, baseDoc),
+      revision: describe(revision, revisionDoc),
+      breaking: breaking.length,
+      nonBreaking: nonBreaking.length,
+      changes,
+    });
+  }, { summary: changelog }),
+);
+
+// Hosts and methods call-endpoint may send requests to, from --allow-host and --allow-method
+const allowedHosts = (options["allow-host"] || []).map((host) => host.toLowerCase());
+const allowedMethods = (options["allow-method"] || ["GET", "HEAD", "OPTIONS"]).map((method) => method.toUpperCase());
+
+// Whether `url` may be called: its host (or host:port) must match an allowed host, where
+// *.example.com matches any subdomain of example.com
+const isHostAllowed = (url) => {
+  const { host, hostname } = new URL(url);
+  return allowedHosts.some((pattern) =>
+    pattern.startsWith("*.")
+      ? hostname.endsWith(pattern.slice(1))
+      : pattern === host.toLowerCase() || pattern === hostname.toLowerCase(),
+  );
+};
+
+const isMethodAllowed = (method) => allowedMethods.includes("*") || allowedMethods.includes(method.toUpperCase());
+
+// Credentials from the --credentials file, keyed by security scheme name. The file is read
+// on every call so that rotated credentials are picked up.
+const loadCredentialsFile = () => {
+  if (!options.credentials) return {};
+  try {
+    return yaml.load(readFileSync(options.credentials, "utf8")) || {};
+  } catch (error) {
+    throw new ToolError("config_error", `Unable to read credentials file ${options.credentials}: ${error.message}`);
+  }
+};
+
+// Credentials for a security scheme, from the credentials file or else from environment
+// variables named after the scheme (OPENAPI_AUTH_API_KEY_AUTH for apiKeyAuth, with
+// _USERNAME/_PASSWORD for basic auth and _CLIENT_ID/_CLIENT_SECRET for OAuth2). Returns
+// undefined when none are configured.
+const configuredCredentials = (file, schemeName, scheme) => {
+  const entry = file[schemeName];
+  const env = (suffix = "") => process.env[`OPENAPI_AUTH_${schemeConstantName(schemeName)}${suffix}`];
+  const value = typeof entry === "string" ? entry : entry?.value ?? entry?.token ?? env();
+
+  if (scheme.type === "http" && scheme.scheme?.toLowerCase() === "basic") {
+    const username = entry?.username ?? env("_USERNAME");
+    const password = entry?.password ?? env("_PASSWORD") ?? "";
+    return username ? { username, password } : undefined;
+  }
+  if (scheme.type === "oauth2" && !value) {
+    const clientId = entry?.clientId ?? env("_CLIENT_ID");
+    const clientSecret = entry?.clientSecret ?? env("_CLIENT_SECRET");
+    const tokenUrl = scheme.flows?.clientCredentials?.tokenUrl;
+    if (!clientId || !clientSecret || !tokenUrl) return undefined;
+    return { clientId, clientSecret, tokenUrl, scopes: entry?.scopes };
+  }
+  return value || undefined;
+};
+
+// Names of the environment variables configuredCredentials reads for a security scheme
+const credentialVariables = (schemeName, scheme) => {
+  const prefix = `OPENAPI_AUTH_${schemeConstantName(schemeName)}`;
+  if (scheme?.type === "http" && scheme.scheme?.toLowerCase() === "basic") {
+    return [`${prefix}_USERNAME`, `${prefix}_PASSWORD`];
+  }
+  if (scheme?.type === "oauth2") return [prefix, `${prefix}_CLIENT_ID`, `${prefix}_CLIENT_SECRET`];
+  return [prefix];
+};
+
+// OAuth2 access tokens from the client credentials flow, cached until they expire
+const oauthTokens = new Map();
+
+const fetchClientCredentialsToken = async ({ clientId, clientSecret, tokenUrl, scopes }, requiredScopes, baseUrl) => {
+  const url = new URL(tokenUrl, `${baseUrl}/`).href;
+  const scope = [...new Set([...(scopes || []), ...requiredScopes])].join(" ");
+  const key = `${url} ${clientId} ${scope}`;
+  const cached = oauthTokens.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.token;
+
+  if (!isHostAllowed(url)) {
+    throw new ToolError("call_not_allowed", `Token URL ${url} is not on the allowed host list`, { allowedHosts });
+  }
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      Accept: "application/json",
+      Authorization: `Basic ${Buffer.from(`${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`).toString("base64")}`,
+    },
+    body: new URLSearchParams({ grant_type: "client_credentials", ...(scope ? { scope } : {}) }),
+    signal: AbortSignal.timeout(30000),
+  }).catch((error) => {
+    throw new ToolError("request_failed", `Token request to ${url} failed: ${error.message}`);
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.access_token) {
+    throw new ToolError("auth_failed", `Token request to ${url} failed with status ${response.status}`, {
+      error: data.error,
+    });
+  }
+  // Expire cached tokens a little early so they are not used right at their expiry
+  const expiresIn = Number(data.expires_in) || 300;
+  oauthTokens.set(key, { token: data.access_token, expiresAt: Date.now() + (expiresIn - 30) * 1000 });
+  return data.access_token;
+};
+
+// The body of a request built by buildRequest, encoded for fetch
+const encodeRequestBody = ({ body, contentType }) => {
+  if (body === undefined) return undefined;
+  if (typeof body === "string") return body;
+  if (/^multipart\//i.test(contentType || "")) {
+    const form = new FormData();
+    for (const [name, value] of Object.entries(body)) form.append(name, String(value));
+    return form;
+  }
+  if (/x-www-form-urlencoded/i.test(contentType || "")) {
+    return new URLSearchParams(Object.entries(body).map(([name, value]) => [name, String(value)]));
+  }
+  return JSON.stringify(body);
+};
+
+// Longest response body, in characters, that is returned to the client
+const MAX_RESPONSE_BODY = 20000;
+
+// Largest body, in bytes, that call-endpoint reads from an API and that mock servers accept
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Text of a fetch response body, read up to MAX_BODY_BYTES. `truncated` is set when the body
+// was longer; the rest is not downloaded.
+const readResponseText = async (response) => {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body ?? []) {
+    if (size + chunk.length > MAX_BODY_BYTES) {
+      chunks.push(chunk.subarray(0, MAX_BODY_BYTES - size));
+      return { text: Buffer.concat(chunks).toString("utf8"), truncated: true };
+    }
+    chunks.push(chunk);
+    size += chunk.length;
+  }
+  return { text: Buffer.concat(chunks).toString("utf8"), truncated: false };
+};
+
+// Send a request to an operation and check the response against the spec
+if (allowedHosts.length > 0) {
+  registry.tool(
+    "call-endpoint",
+    `Sends a real HTTP request to an operation, with credentials for its security schemes, and validates the response against the spec. Allowed hosts: ${allowedHosts.join(", ")}; allowed methods: ${allowedMethods.join(", ")}`,
+    {
+      spec: specOption,
+      ...operationOptions,
+      pathParams: z.record(z.any()).optional().describe("Path parameter values"),
+      query: z.record(z.any()).optional().describe("Query parameter values"),
+      headers: z.record(z.any()).optional().describe("Header parameter values"),
+      cookies: z.record(z.any()).optional().describe("Cookie parameter values"),
+      body: z.any().optional().describe("Request body"),
+      contentType: z.string().optional().describe("Request content type. Defaults to the first JSON content type"),
+      server: z.string().optional().describe("Base URL. Defaults to the first entry in servers"),
+      dryRun: z.boolean().default(false).describe("Build and check the request without sending it"),
+      timeout: z.number().int().positive().default(30000).describe("Timeout in milliseconds"),
+      format: formatOption(),
+    },
+    toolHandler(async ({ spec, path, method, operationId, dryRun, timeout, format, ...values }) => {
+      const schemaPath = specPath(spec);
+      const openApiDoc = loadSchema(schemaPath);
+
+      const target = findTarget(openApiDoc, { operationId, path, method });
+
+      // Real calls need every required parameter and body; dry runs show placeholders
+      const supplied = { path: values.pathParams, query: values.query, header: values.headers, cookie: values.cookies };
+      const missing = operationParameters(openApiDoc, target.pathItem, target.operation)
+        .filter((parameter) => parameter.required && supplied[parameter.in]?.[parameter.name] === undefined)
+        .map((parameter) => `${parameter.in} parameter '${parameter.name}'`);
+      if (dereference(openApiDoc, target.operation.requestBody)?.required && values.body === undefined) {
+        missing.push("request body");
+      }
+      if (missing.length > 0 && !dryRun) {
+        throw new ToolError("invalid_arguments", `Missing ${missing.join(", ")}`, { missing });
+      }
+
+      // Use the first security requirement that all credentials are configured for
+      const credentialsFile = loadCredentialsFile();
+      const schemes = openApiDoc.components?.securitySchemes || {};
+      const security = operationSecurity(openApiDoc, target.operation);
+      const credentialsFor = (requirement) =>
+        Object.fromEntries(
+          Object.keys(requirement).map((schemeName) => {
+            const scheme = dereference(openApiDoc, schemes[schemeName]);
+            return [schemeName, scheme && configuredCredentials(credentialsFile, schemeName, scheme)];
+          }),
+        );
+      const requirement =
+        security.find((candidate) => Object.values(credentialsFor(candidate)).every(Boolean)) ?? security[0];
+      const credentials = requirement ? credentialsFor(requirement) : {};
+      const missingCredentials = Object.keys(credentials).filter((schemeName) => !credentials[schemeName]);
+      if (missingCredentials.length > 0 && !dryRun) {
+        throw new ToolError(
+          "missing_credentials",
+          `No credentials configured for security scheme ${missingCredentials.join(", ")}`,
+          {
+            environment: missingCredentials.flatMap((schemeName) =>
+              credentialVariables(schemeName, dereference(openApiDoc, schemes[schemeName])),
+            ),
+            requirements: security.map((candidate) => Object.keys(candidate).join(" + ") || "none"),
+          },
+        );
+      }
+
+      // OAuth2 client credentials are exchanged for a token; dry runs leave a placeholder
+      const baseUrl = values.server || serverUrl(openApiDoc, target.pathItem, target.operation);
+      if (!URL.canParse(baseUrl) || !/^https?:$/.test(new URL(baseUrl).protocol)) {
+        throw new ToolError(
+          "invalid_arguments",
+          `Base URL ${baseUrl} is not an absolute http or https URL${values.server ? "" : "; pass server"}`,
+        );
+      }
+      const secrets = [];
+      for (const [schemeName, credential] of Object.entries(credentials)) {
+        if (credential?.tokenUrl) {
+          credentials[schemeName] = dryRun
+            ? `<token from ${credential.tokenUrl}>`
+            : await fetchClientCredentialsToken(credential, requirement[schemeName] || [], baseUrl);
+        }
+        const value = credentials[schemeName];
+        if (typeof value === "string") secrets.push(value);
+        else if (value?.password) {
+          secrets.push(value.password, Buffer.from(`${value.username}:${value.password}`).toString("base64"));
+        }
+      }
+      const request = buildRequest(
+        openApiDoc,
+        target,
+        values,
+        (schemeName, scheme) => credentials[schemeName] ?? placeholderCredentials(schemeName, scheme),
+        requirement,
+      );
+
+      const operationName = `${target.method.toUpperCase()} ${target.path}`;
+      const allowed = isHostAllowed(request.url) && isMethodAllowed(request.method);
+      const { violations: requestViolations } = validatePayload(openApiDoc, target, {
+        direction: "request",
+        contentType: request.contentType,
+        body: values.body,
+        headers: values.headers,
+        query: values.query,
+      });
+      const requestSummary = {
+        method: request.method,
+        url: request.url,
+        headers: request.headers,
+        ...(request.body !== undefined ? { body: request.body } : {}),
+      };
+      // Credentials never appear in results, not even when the API echoes them back
+      const redactText = (text) =>
+        secrets
+          .filter((secret) => secret.length >= 4)
+          .reduce((result, secret) => result.split(secret).join("<redacted>"), text);
+      const redact = (value) => {
+        if (typeof value === "string") return redactText(value);
+        if (Array.isArray(value)) return value.map(redact);
+        if (value && typeof value === "object") {
+          return Object.fromEntries(Object.entries(value).map(([key, item]) => [redactText(key), redact(item)]));
+        }
+        return value;
+      };
+
+      if (dryRun) {
+        return specResult(
+          openApiDoc,
+          redact({
+            operation: operationName,
+            dryRun: true,
+            allowed,
+            request: requestSummary,
+            ...(missing.length ? { missing } : {}),
+            ...(missingCredentials.length ? { missingCredentials } : {}),
+            requestViolations,
+          }),
+        );
+      }
+
+      if (!isHostAllowed(request.url)) {
+        throw new ToolError("call_not_allowed", `Host of ${request.url} is not on the allowed host list`, {
+          allowedHosts,
+        });
+      }
+      if (!isMethodAllowed(request.method)) {
+        throw new ToolError("call_not_allowed", `Method ${request.method} is not allowed`, { allowedMethods });
+      }
+
+      // Redirects are not followed, as they could lead to a host that is not allowed
+      let response;
+      try {
+        response = await fetch(request.url, {
+          method: request.method,
+          headers: request.headers,
+          body: encodeRequestBody(request),
+          redirect: "manual",
+          signal: AbortSignal.timeout(timeout),
+        });
+      } catch (error) {
+        throw new ToolError("request_failed", `${operationName} request to ${request.url} failed: ${error.cause?.message || error.message}`);
+      }
+
+      const responseHeaders = Object.fromEntries(response.headers.entries());
+      const responseType = response.headers.get("content-type") || undefined;
+      let text;
+      let cutOff;
+      try {
+        ({ text, truncated: cutOff } = await readResponseText(response));
+      } catch (error) {
+        throw new ToolError("request_failed", `${operationName} response from ${request.url} failed: ${error.cause?.message || error.message}`);
+      }
+      let responseBody = text === "" ? undefined : text;
+      if (text && isJsonType(responseType) && !cutOff) {
+        try {
+          responseBody = JSON.parse(text);
+        } catch {
+          // Left as text; validation reports the mismatch
+        }
+      }
+
+      const statusCode = String(response.status);
+      let violations;
+      if (!selectResponse(target.operation.responses, statusCode)) {
+        violations = [
+          {
+            in: "status",
+            instancePath: "/",
+            rule: "status",
+            schemaPath: "#/responses",
+            message: `status ${statusCode} is not documented. Documented: ${Object.keys(target.operation.responses || {}).join(", ")}`,
+          },
+        ];
+      } else {
+        ({ violations } = validatePayload(openApiDoc, target, {
+          direction: "response",
+          statusCode,
+          contentType: responseType,
+          // A cut-off body is not validated
+          body: cutOff ? undefined : responseBody,
+          headers: responseHeaders,
+        }));
+      }
+
+      const truncated = text.length > MAX_RESPONSE_BODY;
+      return specResult(
+        openApiDoc,
+        redact({
+          operation: operationName,
+          request: requestSummary,
+          response: {
+            status: response.status,
+            headers: responseHeaders,
+            ...(responseBody !== undefined
+              ? { body: truncated ? `${text.slice(0, MAX_RESPONSE_BODY)}...` : responseBody }
+              : {}),
+            ...(cutOff
+              ? { truncated: `body longer than ${MAX_BODY_BYTES} bytes; only its start was read, and it was not validated` }
+              : truncated
+                ? { truncated: `body shortened from ${text.length} characters` }
+                : {}),
+          },
+          valid: violations.length === 0,
+          violations,
+        }),
+      );
+    }),
+  );
+}
+
+// Rank of a path template for sorting matches: literal segments win over template
+// parameters from left to right, then longer literal text wins
+const templateRank = (path) => {
+  const segments = path.split("/").map((segment) => (segment.includes("{") ? 0 : 1));
+  return [...segments, path.replace(/\{[^}]+\}/g, "").length];
+};
+
+const compareRanks = (a, b) => {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if ((a[i] ?? 0) !== (b[i] ?? 0)) return (b[i] ?? 0) - (a[i] ?? 0);
+  }
+  return 0;
+};
+
+// Match a request path against the path templates of a document, best match first.
+// Literal segments win over template parameters, so /pets/mine matches /pets/mine before
+// /pets/{petId}. The path of the first server URL (such as /api/v1) may be left out or
+// included. Each match has the template, path item and decoded path parameter values.
+const matchPathTemplates = (openApiDoc, pathname) => {
+  const basePath = new URL(serverUrl(openApiDoc)).pathname.replace(/\/$/, "");
+  const candidates = [pathname];
+  if (basePath && (pathname === basePath || pathname.startsWith(`${basePath}/`))) {
+    candidates.unshift(pathname.slice(basePath.length) || "/");
+  }
+
+  for (const candidate of candidates) {
+    const matches = [];
+    for (const [path, pathItem] of Object.entries(openApiDoc.paths || {})) {
+      const names = [];
+      const pattern = path
+        .split(/(\{[^}]+\})/)
+        .map((part) => {
+          const name = part.match(/^\{([^}]+)\}$/)?.[1];
+          if (name === undefined) return part.replace(/[.*+?^$()|[\]\\]/g, "\\$&");
+          names.push(name);
+          return "([^/]+)";
+        })
+        .join("");
+      const match = candidate.match(new RegExp(`^${pattern}/?$`));
+      if (!match) continue;
+      const params = {};
+      names.forEach((name, index) => {
+        try {
+          params[name] = decodeURIComponent(match[index + 1]);
+        } catch {
+          params[name] = match[index + 1];
+        }
+      });
+      matches.push({ path, pathItem, params, rank: templateRank(path) });
+    }
+    if (matches.length > 0) {
+      return matches.sort((a, b) => compareRanks(a.rank, b.rank)).map(({ rank, ...match }) => match);
+    }
+  }
+  return [];
+};
+
+// The best match of a request path, or undefined
+const matchPathTemplate = (openApiDoc, pathname) => matchPathTemplates(openApiDoc, pathname)[0];
+
+// Read the body of an incoming request, parsed according to its content type. Bodies larger
+// than MAX_BODY_BYTES are refused.
+const readRequestBody = (request) =>
+  new Promise((done, fail) => {
+    const chunks = [];
+    let size = 0;
+    request.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        request.removeAllListeners("data").removeAllListeners("end");
+        return fail(new ToolError("body_too_large", `Request body is larger than ${MAX_BODY_BYTES} bytes`));
+      }
+      chunks.push(chunk);
+    });
+    request.on("error", fail);
+    request.on("end", () => {
+      const text = Buffer.concat(chunks).toString("utf8");
+      const contentType = request.headers["content-type"] || "";
+      if (text === "") return done(undefined);
+      if (isJsonType(contentType)) {
+        try {
+          return done(JSON.parse(text));
+        } catch {
+          return fail(new ToolError("invalid_body", "Request body is not valid JSON"));
+        }
+      }
+      if (/x-www-form-urlencoded/i.test(contentType)) return done(Object.fromEntries(new URLSearchParams(text)));
+      done(text);
+    });
+  });
+
+// Status code and example name a mock request asks for, from a `Prefer: code=404,
+// example=notFound` header or the __code and __example query parameters
+const mockPreferences = (headers, searchParams) => {
+  const prefer = Object.fromEntries(
+    String(headers.prefer || "")
+      .split(/[,;]/)
+      .map((part) => part.trim().split("="))
+      .filter(([key, value]) => key && value)
+      .map(([key, value]) => [key.toLowerCase(), value.replace(/^"|"$/g, "")]),
+  );
+  return {
+    code: searchParams.get("__code") ?? prefer.code,
+    example: searchParams.get("__example") ?? prefer.example,
+  };
+};
+
+// Pick the media type of `content` that the Accept header asks for, or the default one
+const selectAcceptedMediaType = (content, accept) => {
+  for (const type of String(accept || "").split(",").map((part) => part.split(";")[0].trim())) {
+    if (type && type !== "*/*") {
+      const selected = selectMediaType(content, type);
+      if (selected) return selected;
+    }
+  }
+  return selectMediaType(content);
+};
+
+// Body for a mock response: the named example, else the media type's example or first
+// example, else one generated from the schema
+const mockResponseBody = (openApiDoc, mediaType, exampleName) => {
+  const examples = mediaType?.examples || {};
+  if (exampleName) {
+    if (!examples[exampleName]) {
+      throw new ToolError("example_not_found", `No example named '${exampleName}'`, {
+        suggestions: closestMatches(exampleName, Object.keys(examples)),
+        available: Object.keys(examples),
+      });
+    }
+    return dereference(openApiDoc, examples[exampleName]).value;
+  }
+  if (mediaType?.example !== undefined) return mediaType.example;
+  const [first] = Object.values(examples);
+  if (first) return dereference(openApiDoc, first).value;
+  return generateExample(openApiDoc, mediaType?.schema, {
+    mode: "full",
+    direction: "response",
+    maxDepth: 2,
+    random: createRandom(1),
+  });
+};
+
+// Send a JSON error from the mock server itself, as opposed to a documented response
+const sendMockError = (response, status, error, details = {}) => {
+  response.writeHead(status, { "Content-Type": "application/json" });
+  response.end(JSON.stringify({ error, ...details }));
+};
+
+// Request handler of a mock server for spec `alias`. The spec is looked up on every
+// request, so the mock follows changes to the file.
+const createMockHandler = (alias) => async (request, response) => {
+  try {
+    const openApiDoc = loadSchema(specPath(alias));
+    const url = new URL(request.url, "http://localhost");
+    const matched = matchPathTemplate(openApiDoc, url.pathname);
+    if (!matched) return sendMockError(response, 404, `No path matches ${url.pathname}`);
+
+    const method = request.method.toLowerCase();
+    const operation = matched.pathItem[method];
+    if (!HTTP_METHODS.includes(method) || !operation) {
+      response.setHeader(
+        "Allow",
+        HTTP_METHODS.filter((candidate) => matched.pathItem[candidate]).map((candidate) => candidate.toUpperCase()).join(", "),
+      );
+      return sendMockError(response, 405, `${request.method} is not defined for ${matched.path}`);
+    }
+
+    const preferences = mockPreferences(request.headers, url.searchParams);
+    const query = {};
+    for (const [name, value] of url.searchParams) {
+      if (name === "__code" || name === "__example") continue;
+      query[name] = name in query ? [query[name], value].flat() : value;
+    }
+
+    // Validate the request against the operation's parameters and request body
+    const target = { path: matched.path, method, pathItem: matched.pathItem, operation };
+    const body = await readRequestBody(request);
+    const parameters = operationParameters(openApiDoc, matched.pathItem, operation);
+    const violations = [
+      ...validateParameters(openApiDoc, parameters, "path", matched.params),
+      ...validatePayload(openApiDoc, target, {
+        direction: "request",
+        contentType: request.headers["content-type"],
+        body,
+        headers: request.headers,
+        query,
+      }).violations,
+    ];
+    if (violations.length > 0) {
+      return sendMockError(response, 400, "Request does not match the spec", {
+        operation: `${request.method} ${matched.path}`,
+        violations,
+      });
+    }
+
+    // The requested status code (such as 404, or 4XX for any documented client error), or else
+    // the first success response
+    if (preferences.code !== undefined && !/^[1-5](?:\d\d|XX)$/i.test(preferences.code)) {
+      return sendMockError(response, 400, `Invalid status code ${preferences.code}: use a code such as 404 or a range such as 4XX`);
+    }
+    const responses = operation.responses || {};
+    const codes = Object.keys(responses);
+    // A range picks its first documented code
+    const requested = /XX$/i.test(preferences.code ?? "")
+      ? (codes.filter((code) => /^\d{3}$/.test(code) && code[0] === preferences.code[0]).sort()[0] ?? preferences.code)
+      : preferences.code;
+    const selected = requested
+      ? selectResponse(responses, requested)
+      : [codes.filter((code) => /^2/.test(code)).sort()[0] ?? (codes.includes("default") ? "default" : codes[0])]
+          .filter(Boolean)
+          .map((code) => [code, responses[code]])[0];
+    if (!selected) {
+      return sendMockError(response, 400, `No response for status code ${preferences.code ?? "2XX"} is documented`, {
+        available: codes,
+      });
+    }
+    const [key, responseObject] = selected;
+    const code = requested ?? (key === "default" ? "200" : key);
+    const status = Number(/^\d{3}$/.test(code) ? code : `${code[0]}00`);
+    const documented = dereference(openApiDoc, responseObject);
+
+    const headers = {};
+    for (const [name, header] of Object.entries(documented?.headers || {})) {
+      const resolved = dereference(openApiDoc, header);
+      const value =
+        resolved?.example ??
+        generateExample(openApiDoc, resolved?.schema, {
+          mode: "minimal",
+          direction: "response",
+          maxDepth: 1,
+          random: createRandom(1),
+        });
+      if (value !== undefined && name.toLowerCase() !== "content-type") headers[name] = String(value);
+    }
+
+    const mediaType = selectAcceptedMediaType(documented?.content, request.headers.accept);
+    if (!mediaType) {
+      response.writeHead(status, headers);
+      return response.end();
+    }
+    const payload = mockResponseBody(openApiDoc, mediaType[1], preferences.example);
+    const contentType = mediaType[0].includes("*") ? "application/octet-stream" : mediaType[0];
+    response.writeHead(status, { ...headers, "Content-Type": contentType });
+    response.end(
+      payload === undefined ? "" : typeof payload === "string" && !isJsonType(contentType) ? payload : JSON.stringify(payload),
+    );
+  } catch (error) {
+    if (error instanceof ToolError) {
+      const status = { invalid_body: 400, example_not_found: 400, body_too_large: 413 }[error.code] ?? 500;
+      return sendMockError(response, status, error.message, error.details);
+    }
+    sendMockError(response, 500, error.message);
+  }
+};
+
+// Running mock servers, keyed by spec alias
+const mockServers = new Map();
+
+// Start a mock server for spec `alias` on `port` (0 picks a free port)
+const startMockServer = (alias, port, host = "127.0.0.1") =>
+  new Promise((done, fail) => {
+    const mock = createServer(createMockHandler(alias));
+    mock.once("error", (error) =>
+      fail(new ToolError("mock_failed", `Unable to start a mock server on ${host}:${port}: ${error.message}`)),
+    );
+    mock.listen(port, host, () => {
+      const address = mock.address();
+      const url = `http://${address.family === "IPv6" ? `[${address.address}]` : address.address}:${address.port}`;
+      mockServers.set(alias, { server: mock, url });
+      done(url);
+    });
+  });
+
+// Start a mock server
+registry.tool(
+  "start-mock-server",
+  "Starts an HTTP mock server for a spec. It matches requests to the spec's paths, validates them and answers with the documented examples, or generated bodies. Send `Prefer: code=404, example=name` or the __code/__example query parameters to choose a response",
+  {
+    spec: specOption,
+    port: z.number().int().min(0).max(65535).default(0).describe("Port to listen on. 0 picks a free port"),
+    format: formatOption(),
+  },
+  toolHandler(async ({ spec, port }) => {
+    const alias = spec ?? defaultSpec;
+    const openApiDoc = loadSchema(specPath(alias));
+    const running = mockServers.get(alias);
+    const url = running?.url ?? (await startMockServer(alias, port));
+    return specResult(openApiDoc, {
+      spec: alias,
+      url,
+      ...(running ? { note: "A mock server for this spec was already running" } : {}),
+      operations: listOperations(openApiDoc).length,
+    });
+  }),
+);
+
+// Stop a mock server
+registry.tool(
+  "stop-mock-server",
+  "Stops the mock server of a spec",
+  {
+    spec: specOption,
+    format: formatOption(),
+  },
+  toolHandler(async ({ spec }) => {
+    const alias = spec ?? defaultSpec;
+    specPath(alias);
+    const running = mockServers.get(alias);
+    if (!running) {
+      throw new ToolError("mock_not_running", `No mock server is running for spec '${alias}'`, {
+        running: [...mockServers.keys()],
+      });
+    }
+    mockServers.delete(alias);
+    await new Promise((done) => {
+      running.server.close(done);
+      running.server.closeAllConnections();
+    });
+    return dataResult({ spec: alias, stopped: running.url });
+  }),
+);
+
+// Regular expression source for a server URL part, with its variables matching one of their
+// enum values or any text within a segment
+const serverUrlPattern = (server, part) =>
+  part
+    .split(/(\{[^}]+\})/)
+    .map((piece) => {
+      const name = piece.match(/^\{([^}]+)\}$/)?.[1];
+      if (name === undefined) return piece.replace(/[.*+?^$()|[\]\\]/g, "\\$&");
+      const values = server.variables?.[name]?.enum;
+      return values?.length
+        ? `(?:${values.map((value) => String(value).replace(/[.*+?^$()|[\]\\]/g, "\\$&")).join("|")})`
+        : "[^/]*";
+    })
+    .join("");
+
+// The server whose URL a request URL starts with, preferring the longest base path, and
+// the rest of the request path. Relative request URLs only need to start with the base path.
+const matchServer = (openApiDoc, url) => {
+  const absolute = /^[a-z][a-z\d+.-]*:\/\//i.test(url);
+  const { protocol, host, pathname } = new URL(url, "http://localhost");
+  const matches = (openApiDoc.servers || []).flatMap((server) => {
+    if (!server?.url) return [];
+    const [, origin, basePath] = server.url.replace(/\/$/, "").match(/^([^/]*\/\/[^/]*)?(.*)$/);
+    if (absolute && origin && !new RegExp(`^${serverUrlPattern(server, origin)}$`, "i").test(`${protocol}//${host}`)) {
+      return [];
+    }
+    const base = pathname.match(new RegExp(`^${serverUrlPattern(server, basePath)}(?=/|$)`))?.[0];
+    return base === undefined ? [] : [{ server: server.url, basePath: base, pathname: pathname.slice(base.length) || "/" }];
+  });
+  return matches.sort((a, b) => b.basePath.length - a.basePath.length)[0];
+};
+
+// Whether a schema describes an array, an object or a single value
+const schemaKind = (schema) => {
+  const types = [schema?.type].flat();
+  if (types.includes("array")) return "array";
+  return types.includes("object") || schema?.properties ? "object" : "scalar";
+};
+
+// An object from alternating keys and values ("R,100,G,200"), or, exploded, from key=value
+// pairs ("R=100,G=200")
+const parseObjectValue = (items, explode) =>
+  Object.fromEntries(
+    explode
+      ? items.map((item) => [item.split("=")[0], item.split("=").slice(1).join("=")])
+      : items.flatMap((item, index) => (index % 2 === 0 ? [[item, items[index + 1] ?? ""]] : [])),
+  );
+
+// Read a parameter from the raw request `values` of its location (query parameters, header
+// names in lower case or path template values) per its style and explode settings. Returns
+// the names it was read from and its value: a string, or an array or object of strings to
+// be coerced to the types of its schema.
+const readParameter = (openApiDoc, parameter, values) => {
+  const name = parameter.in === "header" ? parameter.name.toLowerCase() : parameter.name;
+  const schema = dereference(openApiDoc, parameter.schema);
+  const kind = schemaKind(schema);
+  const style = parameter.style || (parameter.in === "query" || parameter.in === "cookie" ? "form" : "simple");
+  const explode = parameter.explode ?? style === "form";
+
+  // Objects spread over several query parameters: color[R]=100 (deepObject), or R=100 when exploded
+  if (parameter.in === "query" && kind === "object" && (style === "deepObject" || explode) && !parameter.content) {
+    const keys = style === "deepObject"
+      ? Object.keys(values).filter((key) => key.startsWith(`${name}[`) && key.endsWith("]"))
+      : Object.keys(schema.properties || {}).filter((key) => key in values);
+    const value = Object.fromEntries(
+      keys.map((key) => [style === "deepObject" ? key.slice(name.length + 1, -1) : key, [values[key]].flat()[0]]),
+    );
+    return { names: keys, value: keys.length > 0 ? value : undefined };
+  }
+
+  const raw = values[name];
+  if (raw === undefined) return { names: [] };
+  const text = String([raw].flat()[0]);
+  if (parameter.content) {
+    try {
+      return { names: [name], value: JSON.parse(text) };
+    } catch {
+      return { names: [name], value: text };
+    }
+  }
+  if (kind === "scalar") {
+    const value = style === "label" ? text.replace(/^\./, "") : style === "matrix" ? text.replace(/^;[^=]*=/, "") : text;
+    return { names: [name], value };
+  }
+  if (kind === "array" && explode && Array.isArray(raw) && raw.length > 1) return { names: [name], value: raw };
+
+  let items;
+  if (style === "matrix") {
+    // ;id=3,4 or, exploded, ;id=3;id=4 and ;R=100;G=200
+    const parts = text.split(";").filter(Boolean);
+    items = !explode
+      ? (parts[0] ?? "").replace(/^[^=]*=/, "").split(",")
+      : kind === "array"
+        ? parts.map((part) => part.replace(/^[^=]*=/, ""))
+        : parts;
+  } else if (style === "label") {
+    items = text.replace(/^\./, "").split(explode ? "." : ",");
+  } else {
+    items = text.split(PARAMETER_DELIMITERS[style] || ",");
+  }
+  return { names: [name], value: kind === "array" ? items : parseObjectValue(items, explode) };
+};
+
+// Coerce a parameter value read from a request to the types of its schema, with the
+// violations of the schema
+const coerceParameter = (openApiDoc, parameter, value) => {
+  const schema = parameter.schema || selectMediaType(parameter.content)?.[1]?.schema;
+  if (!schema) return { value, violations: [] };
+  const data = { value };
+  const validate = compilePayloadSchema(
+    openApiDoc,
+    { type: "object", properties: { value: schema } },
+    "request",
+    parameterAjv,
+  );
+  const violations = validate(data)
+    ? []
+    : toViolations(parameter.in, validate.errors).map((violation) => ({
+        ...violation,
+        instancePath: violation.instancePath.replace(/^\/value/, `/${parameter.name}`),
+      }));
+  return { value: data.value, violations };
+};
+
+// Headers that are never described as parameters, and API keys of security schemes
+const credentialParameters = (openApiDoc) => {
+  const schemes = Object.values(openApiDoc.components?.securitySchemes || {})
+    .map((scheme) => dereference(openApiDoc, scheme))
+    .filter((scheme) => scheme?.type === "apiKey");
+  return {
+    path: [],
+    query: schemes.filter((scheme) => scheme.in === "query").map((scheme) => scheme.name),
+    header: [
+      "accept",
+      "content-type",
+      "authorization",
+      ...schemes.filter((scheme) => scheme.in === "header").map((scheme) => scheme.name.toLowerCase()),
+    ],
+  };
+};
+
+// Find the operation of a concrete request and decode its parameters
+registry.tool(
+  "match-request",
+  "Finds the operation a concrete request such as GET /pets/123?limit=5 belongs to, stripping a matching server base path and preferring literal path segments over templated ones. Returns the path template and the path, query and header parameter values decoded per their style and explode settings and coerced to their schema types, with missing required parameters, parameters the operation does not define and invalid values",
   {
-    openapiSchemaPath: z.string().describe("Path to the OpenAPI schema file"),
-    path: z.string(),
-    method: z.string(),
-    statusCode: z.string().default("200"),
+    spec: specOption,
+    method: z.string().describe("HTTP method of the request"),
+    url: z
+      .string()
+      .describe("Request URL, absolute (https://api.example.com/v1/pets/123?limit=5) or relative (/pets/123?limit=5)"),
+    headers: z.record(z.string()).optional().describe("Request headers"),
+    format: formatOption(),
   },
-  ({ openapiSchemaPath, path, method, statusCode }) => {
-    const openApiDoc = loadSchema(openapiSchemaPath);
-    const pathItem = openApiDoc.paths?.[path];
-    if (!pathItem) {
-      return { content: [{ type: "text", text: `Path ${path} not found` }] };
+  toolHandler(({ spec, method, url, headers = {} }) => {
+    const openApiDoc = loadSchema(specPath(spec));
+    let parsed;
+    try {
+      parsed = new URL(url, "http://localhost");
+    } catch {
+      throw new ToolError("invalid_arguments", `Invalid URL: ${url}`);
     }
 
-    const operation = pathItem[method.toLowerCase()];
-    if (!operation) {
-      return { content: [{ type: "text", text: `Method ${method} not found for path ${path}` }] };
+    const server = matchServer(openApiDoc, url);
+    const pathname = server?.pathname ?? parsed.pathname;
+    const matches = matchPathTemplates(openApiDoc, pathname);
+    if (matches.length === 0) {
+      throw new ToolError("path_not_found", `No path template matches ${pathname}`, {
+        suggestions: closestMatches(pathname, Object.keys(openApiDoc.paths || {})),
+      });
     }
 
-    const responses = operation.responses;
-    if (!responses) {
-      return { content: [{ type: "text", text: `No responses defined for ${method} ${path}` }] };
+    // The best matching template that defines the method
+    const lowerMethod = method.toLowerCase();
+    const matched = HTTP_METHODS.includes(lowerMethod) && matches.find(({ pathItem }) => pathItem[lowerMethod]);
+    if (!matched) {
+      const methods = [
+        ...new Set(matches.flatMap(({ pathItem }) => HTTP_METHODS.filter((key) => pathItem[key]))),
+      ].map((key) => key.toUpperCase());
+      throw new ToolError("method_not_found", `Method ${method.toUpperCase()} not found for path ${matches[0].path}`, {
+        suggestions: closestMatches(method.toUpperCase(), methods),
+        available: methods,
+      });
     }
+    const operation = matched.pathItem[lowerMethod];
 
-    const response = responses[statusCode] || responses.default;
-    if (!response) {
-      return {
-        content: [
-          {
-            type: "text",
-            text: `No response for status code ${statusCode} (or default) found for ${method} ${path}.\nAvailable status codes: ${Object.keys(responses).join(", ")}`,
-          },
-        ],
-      };
+    const query = {};
+    for (const [name, value] of parsed.searchParams) {
+      query[name] = name in query ? [query[name], value].flat() : value;
     }
-
-    return {
-      content: [
-        {
-          type: "text",
-          text: toYaml(response),
-        },
-      ],
+    const sources = {
+      path: matched.params,
+      query,
+      header: Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])),
     };
-  },
-);
 
-// Get parameters for a specific path
-server.tool(
-  "get-path-parameters",
-  "Gets the parameters for a specific path",
-  {
-    openapiSchemaPath: z.string().describe("Path to the OpenAPI schema file"),
-    path: z.string(),
-    method: z.string().optional()
-  },
-  ({ openapiSchemaPath, path, method }) => {
-    const openApiDoc = loadSchema(openapiSchemaPath);
-    const pathItem = openApiDoc.paths?.[path];
-    if (!pathItem) {
-      return { content: [{ type: "text", text: `Path ${path} not found` }] };
+    const parameters = { path: {}, query: {}, header: {} };
+    const read = mapValues(credentialParameters(openApiDoc), (names) => new Set(names));
+    const missing = [];
+    const invalid = [];
+    for (const parameter of operationParameters(openApiDoc, matched.pathItem, operation)) {
+      if (!(parameter.in in sources)) continue;
+      const { names, value } = readParameter(openApiDoc, parameter, sources[parameter.in]);
+      for (const name of names) read[parameter.in].add(name);
+      if (value === undefined) {
+        if (parameter.required) missing.push({ in: parameter.in, name: parameter.name });
+        continue;
+      }
+      const coerced = coerceParameter(openApiDoc, parameter, value);
+      parameters[parameter.in][parameter.name] = coerced.value;
+      invalid.push(...coerced.violations);
     }
 
-    let parameters = [...(pathItem.parameters || [])];
+    const unknown = Object.entries(sources).flatMap(([location, values]) =>
+      Object.entries(values)
+        .filter(([name]) => !read[location].has(name))
+        .map(([name, value]) => ({ in: location, name, value })),
+    );
 
-    // If method is specified, add method-specific parameters
-    if (method) {
-      const operation = pathItem[method.toLowerCase()];
-      if (operation && operation.parameters) {
-        parameters = [...parameters, ...operation.parameters];
-      }
+    return specResult(openApiDoc, {
+      path: matched.path,
+      method: method.toUpperCase(),
+      ...(operation.operationId ? { operationId: operation.operationId } : {}),
+      ...(operation.summary ? { summary: operation.summary } : {}),
+      ...(server ? { server: server.server } : {}),
+      parameters: Object.fromEntries(Object.entries(parameters).filter(([, values]) => Object.keys(values).length > 0)),
+      missing,
+      unknown,
+      invalid,
+    });
+  }),
+);
+
+if (options.mock !== undefined) {
+  const port = Number(options.mock);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    console.error(`Invalid --mock port: ${options.mock}`);
+    process.exit(1);
+  }
+  try {
+    console.error(`Mock server for ${defaultSpec} listening on ${await startMockServer(defaultSpec, port)}`);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+// URI of a spec resource, such as openapi://pets/paths/%2Fpets/get
+const resourceUri = (alias, ...segments) =>
+  `openapi://${[alias, ...segments].map((segment) => encodeURIComponent(segment)).join("/")}`;
+
+// MCP servers of the initialized client connections, each with the resource URIs its client
+// subscribed to, to notify them when the spec file changes
+const connectedServers = new Map();
+
+// Notify subscribers of the resources of the spec(s) at `schemaPath` that they changed
+const notifyResourcesUpdated = (schemaPath) => {
+  for (const [server, subscriptions] of connectedServers) {
+    for (const uri of subscriptions) {
+      const alias = decodeURIComponent(uri.match(/^openapi:\/\/([^/]+)/)?.[1] ?? "");
+      if (specs.get(alias) !== schemaPath) continue;
+      server.server.sendResourceUpdated({ uri }).catch((error) => {
+        console.error(`Error sending update notification: ${error.message}`);
+      });
     }
+  }
+};
 
-    if (parameters.length === 0) {
-      return {
-        content: [
-          {
-            type: "text",
-            text: `No parameters found for ${method ? `${method.toUpperCase()} ` : ""}${path}`,
-          },
-        ],
-      };
+// Lookup errors outside of tools become MCP errors that keep the error code and details
+const toMcpError = (error) =>
+  error instanceof ToolError
+    ? new McpError(ErrorCode.InvalidParams, error.message, { code: error.code, ...error.details })
+    : error;
+
+// Wrap a resource read callback, decoding its URI variables and converting its errors
+const resourceHandler = (handler) => async (uri, variables, ...rest) => {
+  const decoded = mapValues(variables, (value) => decodeURIComponent([value].flat()[0]));
+  try {
+    return await handler(uri, decoded, ...rest);
+  } catch (error) {
+    throw toMcpError(error);
+  }
+};
+
+// YAML contents of a resource, headed by the spec version like tool results
+const yamlResource = (uri, openApiDoc, value) => ({
+  contents: [{ uri: uri.href, mimeType: "application/yaml", text: renderData(specResult(openApiDoc, value).data, "yaml") }],
+});
+
+// List resources across all specs, leaving out specs that do not load
+const listSpecResources = (describe) => () => ({
+  resources: [...specs].flatMap(([alias, path]) => {
+    try {
+      return describe(alias, loadSchema(path));
+    } catch {
+      return [];
     }
+  }),
+});
+
+const documentMimeType = (schemaPath) =>
+  extname(schemaPath).toLowerCase() === ".json" ? "application/json" : "application/yaml";
 
+const completeSpec = (value) => [...specs.keys()].filter((alias) => alias.startsWith(value));
+
+// The spec documents as written
+registry.resource(
+  "spec-document",
+  new ResourceTemplate("openapi://{spec}/document", {
+    list: listSpecResources((alias, openApiDoc) => [
+      {
+        uri: resourceUri(alias, "document"),
+        name: `${alias}: ${openApiDoc.info?.title ?? "API"} ${openApiDoc.info?.version ?? ""}`.trim(),
+        mimeType: documentMimeType(specs.get(alias)),
+      },
+    ]),
+    complete: { spec: completeSpec },
+  }),
+  { description: "An OpenAPI spec document as written" },
+  resourceHandler((uri, { spec }) => {
+    const schemaPath = specPath(spec);
+    loadSchema(schemaPath);
     return {
-      content: [
+      contents: [
         {
-          type: "text",
-          text: toYaml(parameters),
+          uri: uri.href,
+          mimeType: documentMimeType(schemaPath),
+          text: readFileSync(schemaPath, "utf8"),
         },
       ],
     };
-  },
+  }),
 );
 
-// List all components
-server.tool(
-  "list-components",
-  "Lists all schema components (schemas, parameters, responses, etc.)",
-  { openapiSchemaPath: z.string().describe("Path to the OpenAPI schema file") },
-  ({ openapiSchemaPath }) => {
-    const openApiDoc = loadSchema(openapiSchemaPath);
-    const components = openApiDoc.components || {};
-    const result = {};
+// Operations, with the details get-endpoint returns
+registry.resource(
+  "operation",
+  new ResourceTemplate("openapi://{spec}/paths/{path}/{method}", {
+    list: listSpecResources((alias, openApiDoc) =>
+      listOperations(openApiDoc).map(({ path, method, operation }) => ({
+        uri: resourceUri(alias, "paths", path, method),
+        name: `${alias}: ${method.toUpperCase()} ${path}${operation.summary ? ` - ${operation.summary}` : ""}`,
+      })),
+    ),
+    complete: { spec: completeSpec },
+  }),
+  { description: "An API operation: parameters, request body, responses and security", mimeType: "application/yaml" },
+  resourceHandler((uri, { spec, path, method }) => {
+    const openApiDoc = loadSchema(specPath(spec));
+    return yamlResource(uri, openApiDoc, describeEndpoint(path, method, findOperation(openApiDoc, path, method)));
+  }),
+);
 
-    // For each component type, list the keys
-    for (const [type, items] of Object.entries(components)) {
-      if (items && typeof items === "object") {
-        result[type] = Object.keys(items);
-      }
-    }
+// Components, as get-component returns them
+registry.resource(
+  "component",
+  new ResourceTemplate("openapi://{spec}/components/{type}/{name}", {
+    list: listSpecResources((alias, openApiDoc) =>
+      Object.entries(openApiDoc.components || {}).flatMap(([type, items]) =>
+        Object.keys(items || {}).map((name) => ({
+          uri: resourceUri(alias, "components", type, name),
+          name: `${alias}: ${type}/${name}`,
+        })),
+      ),
+    ),
+    complete: { spec: completeSpec },
+  }),
+  { description: "A component such as a schema, parameter or response", mimeType: "application/yaml" },
+  resourceHandler((uri, { spec, type, name }) => {
+    const openApiDoc = loadSchema(specPath(spec));
+    return yamlResource(uri, openApiDoc, findComponent(openApiDoc, type, name));
+  }),
+);
 
-    return {
-      content: [
-        {
-          type: "text",
-          text: toYaml(result),
-        },
-      ],
-    };
-  },
+// Tags, with the operations that use them
+registry.resource(
+  "tag",
+  new ResourceTemplate("openapi://{spec}/tags/{tag}", {
+    list: listSpecResources((alias, openApiDoc) =>
+      tagNames(openApiDoc).map((tag) => ({ uri: resourceUri(alias, "tags", tag), name: `${alias}: tag ${tag}` })),
+    ),
+    complete: { spec: completeSpec },
+  }),
+  { description: "A tag with its description and operations", mimeType: "application/yaml" },
+  resourceHandler((uri, { spec, tag }) => {
+    const openApiDoc = loadSchema(specPath(spec));
+    return yamlResource(uri, openApiDoc, findTag(openApiDoc, tag));
+  }),
 );
 
-// Get a specific component
-server.tool(
-  "get-component",
-  "Gets detailed definition for a specific component",
-  {
-    openapiSchemaPath: z.string().describe("Path to the OpenAPI schema file"),
-    type: z.string().describe("Component type (e.g., schemas, parameters, responses)"),
-    name: z.string().describe("Component name"),
-  },
-  ({ openapiSchemaPath, type, name }) => {
-    const openApiDoc = loadSchema(openapiSchemaPath);
-    const components = openApiDoc.components || {};
-    const componentType = components[type];
+// Wrap a prompt callback so that its errors become MCP errors
+const promptHandler = (handler) => async (...args) => {
+  try {
+    return await handler(...args);
+  } catch (error) {
+    throw toMcpError(error);
+  }
+};
 
-    if (!componentType) {
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Component type '${type}' not found. Available types: ${Object.keys(components).join(", ")}`,
-          },
-        ],
-      };
-    }
+// Prompt result with instructions followed by YAML context from the spec
+const promptResult = (description, instructions, context) => ({
+  description,
+  messages: [
+    {
+      role: "user",
+      content: { type: "text", text: `${instructions.join("\n\n")}\n\n\`\`\`yaml\n${toYaml(context)}\`\`\`\n` },
+    },
+  ],
+});
 
-    const component = componentType[name];
-    if (!component) {
-      return {
-        content: [
-          {
-            type: "text",
-            text: `Component '${name}' not found in '${type}'. Available components: ${Object.keys(componentType).join(", ")}`,
-          },
-        ],
-      };
-    }
+// Prompt arguments that select an operation
+const promptOperationArguments = {
+  spec: z.string().optional().describe("Alias of the spec (see list-specs). Defaults to the first spec"),
+  operationId: z.string().optional().describe("operationId of the operation (or use path and method)"),
+  path: z.string().optional().describe("API path, such as /pets/{petId}"),
+  method: z.string().optional().describe("HTTP method"),
+};
 
-    return {
-      content: [
-        {
-          type: "text",
-          text: toYaml(component),
-        },
-      ],
-    };
-  },
-);
+// Everything a model needs to know about an operation: its definition with references
+// resolved, the base URL, the security schemes it accepts and example payloads
+const operationContext = async (schemaPath, openApiDoc, target) => {
+  const { path, method, pathItem, operation } = target;
+  const endpoint = describeEndpoint(path, method, operation);
+  const parameters = operationParameters(openApiDoc, pathItem, operation);
+  const security = operationSecurity(openApiDoc, operation);
+  const exampleOptions = { mode: "full", direction: "request", maxDepth: 2, random: createRandom(1) };
+  const exampleOf = (mediaType, direction) =>
+    mediaType?.example ??
+    dereference(openApiDoc, Object.values(mediaType?.examples || {})[0])?.value ??
+    generateExample(openApiDoc, mediaType?.schema, { ...exampleOptions, direction });
 
-// List security schemes
-server.tool(
-  "list-security-schemes",
-  "Lists all available security schemes",
-  { openapiSchemaPath: z.string().describe("Path to the OpenAPI schema file") },
-  ({ openapiSchemaPath }) => {
-    const openApiDoc = loadSchema(openapiSchemaPath);
-    const securitySchemes = openApiDoc.components?.securitySchemes || {};
-    const result = {};
-
-    for (const [name, scheme] of Object.entries(securitySchemes)) {
-      result[name] = {
-        type: scheme.type,
-        description: scheme.description,
-        ...(scheme.type === "oauth2" ? { flows: Object.keys(scheme.flows || {}) } : {}),
-        ...(scheme.type === "apiKey" ? { in: scheme.in, name: scheme.name } : {}),
-        ...(scheme.type === "http" ? { scheme: scheme.scheme } : {}),
-      };
-    }
+  const requestMediaType = selectMediaType(dereference(openApiDoc, operation.requestBody)?.content);
+  const responseExamples = {};
+  for (const [status, response] of Object.entries(operation.responses || {})) {
+    const mediaType = selectMediaType(dereference(openApiDoc, response)?.content);
+    if (mediaType) responseExamples[status] = { [mediaType[0]]: exampleOf(mediaType[1], "response") };
+  }
 
-    if (Object.keys(result).length === 0) {
-      return { content: [{ type: "text", text: "No security schemes defined in this API" }] };
-    }
+  return {
+    operation: await inlineRefs(
+      schemaPath,
+      { ...endpoint, operationId: operation.operationId, parameters },
+      "full",
+    ),
+    server: serverUrl(openApiDoc, pathItem, operation),
+    security: security.length
+      ? {
+          requirements: security.map((requirement) => Object.keys(requirement).join(" + ") || "none"),
+          schemes: Object.fromEntries(
+            [...new Set(security.flatMap(Object.keys))].map((name) => [
+              name,
+              dereference(openApiDoc, openApiDoc.components?.securitySchemes?.[name]),
+            ]),
+          ),
+        }
+      : "none",
+    examples: {
+      ...(requestMediaType ? { request: { [requestMediaType[0]]: exampleOf(requestMediaType[1], "request") } } : {}),
+      responses: responseExamples,
+    },
+  };
+};
 
-    return {
-      content: [
-        {
-          type: "text",
-          text: toYaml(result),
-        },
+// Explain an endpoint
+registry.prompt(
+  "explain-endpoint",
+  "Explain what an API operation does, how to call it and what it returns",
+  promptOperationArguments,
+  promptHandler(async ({ spec, ...selector }) => {
+    const schemaPath = specPath(spec);
+    const openApiDoc = loadSchema(schemaPath);
+    const target = findTarget(openApiDoc, selector);
+    const name = `${target.method.toUpperCase()} ${target.path}`;
+
+    return promptResult(
+      `Explain ${name}`,
+      [
+        `Explain the ${name} operation of the ${openApiDoc.info?.title ?? "API"} (${specVersion(openApiDoc)}) to a developer who is about to use it.`,
+        "Cover what it does, the parameters and request body with their constraints, the authentication it needs, each documented response and when it occurs, and give an example request and response. Base the explanation only on the definition below, and point out anything that is missing or ambiguous.",
       ],
-    };
-  },
+      await operationContext(schemaPath, openApiDoc, target),
+    );
+  }),
 );
 
-// Get examples
-server.tool(
-  "get-examples",
-  "Gets examples for a specific component or endpoint",
+// Write a client function for an operation
+registry.prompt(
+  "write-client-function",
+  "Write a typed client function that calls an API operation",
   {
-    openapiSchemaPath: z.string().describe("Path to the OpenAPI schema file"),
-    type: z.enum(["request", "response", "component"]).describe("Type of example to retrieve"),
-    path: z.string().optional().describe("API path (required for request/response examples)"),
-    method: z.string().optional().describe("HTTP method (required for request/response examples)"),
-    statusCode: z.string().optional().describe("Status code (for response examples)"),
-    componentType: z
-      .string()
-      .optional()
-      .describe("Component type (required for component examples)"),
-    componentName: z
+    ...promptOperationArguments,
+    language: z
       .string()
       .optional()
-      .describe("Component name (required for component examples)"),
+      .describe("Target language and HTTP library, e.g. typescript, python with httpx, go. Defaults to TypeScript with fetch"),
   },
-  ({ openapiSchemaPath, type, path, method, statusCode, componentType, componentName }) => {
-    const openApiDoc = loadSchema(openapiSchemaPath);
-    if (type === "request") {
-      if (!path || !method) {
-        return {
-          content: [{ type: "text", text: "Path and method are required for request examples" }],
-        };
-      }
-
-      const operation = openApiDoc.paths?.[path]?.[method.toLowerCase()];
-      if (!operation) {
-        return {
-          content: [{ type: "text", text: `Operation ${method.toUpperCase()} ${path} not found` }],
-        };
-      }
-
-      if (!operation.requestBody?.content) {
-        return {
-          content: [
-            { type: "text", text: `No request body defined for ${method.toUpperCase()} ${path}` },
-          ],
-        };
-      }
+  promptHandler(async ({ spec, language = "TypeScript with fetch", ...selector }) => {
+    const schemaPath = specPath(spec);
+    const openApiDoc = loadSchema(schemaPath);
+    const target = findTarget(openApiDoc, selector);
+    const name = `${target.method.toUpperCase()} ${target.path}`;
+    const context = await operationContext(schemaPath, openApiDoc, target);
+    if (/typescript|\bts\b/i.test(language)) {
+      context.types = generateTypeScript(openApiDoc, { target });
+    }
 
-      const examples = {};
-      for (const [contentType, content] of Object.entries(operation.requestBody.content)) {
-        if (content.examples) {
-          examples[contentType] = content.examples;
-        } else if (content.example) {
-          examples[contentType] = { default: { value: content.example } };
-        }
-      }
+    return promptResult(
+      `Write a ${language} client function for ${name}`,
+      [
+        `Write a client function in ${language} that calls ${name}${target.operation.operationId ? ` (operationId ${target.operation.operationId})` : ""} of the ${openApiDoc.info?.title ?? "API"}.`,
+        [
+          "Requirements:",
+          "- Typed inputs for the path, query and header parameters and the request body, and a typed result for each documented response",
+          "- Parameters serialized as their style and explode settings require, with path parameters encoded",
+          "- Authentication for the security schemes below, with credentials passed in rather than hard-coded",
+          "- The base URL as a parameter that defaults to the server below",
+          "- Errors for undocumented status codes, and documented error responses returned or raised as typed errors",
+          "Use the definitions below exactly; do not invent fields.",
+        ].join("\n"),
+      ],
+      context,
+    );
+  }),
+);
 
-      if (Object.keys(examples).length === 0) {
-        return {
-          content: [
-            { type: "text", text: `No examples found for ${method.toUpperCase()} ${path} request` },
-          ],
-        };
-      }
+// Review a section of a spec
+registry.prompt(
+  "review-spec",
+  "Review a section of a spec (paths with a prefix, a tag, or the whole spec) for consistency and completeness",
+  {
+    spec: z.string().optional().describe("Alias of the spec (see list-specs). Defaults to the first spec"),
+    path: z.string().optional().describe("Only review paths that start with this prefix, such as /pets"),
+    tag: z.string().optional().describe("Only review operations with this tag"),
+  },
+  promptHandler(async ({ spec, path, tag }) => {
+    const schemaPath = specPath(spec);
+    const openApiDoc = loadSchema(schemaPath);
+    if (tag) findTag(openApiDoc, tag);
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: toYaml(examples),
-          },
-        ],
-      };
-    } else if (type === "response") {
-      if (!path || !method) {
-        return {
-          content: [{ type: "text", text: "Path and method are required for response examples" }],
-        };
-      }
+    const operations = listOperations(openApiDoc).filter(
+      (entry) => (!path || entry.path.startsWith(path)) && (!tag || entry.operation.tags?.includes(tag)),
+    );
+    if (operations.length === 0) {
+      throw new ToolError("path_not_found", `No operations match ${[path && `path ${path}`, tag && `tag ${tag}`].filter(Boolean).join(" and ")}`, {
+        suggestions: closestMatches(path || "", Object.keys(openApiDoc.paths)),
+      });
+    }
 
-      const operation = openApiDoc.paths?.[path]?.[method.toLowerCase()];
-      if (!operation) {
-        return {
-          content: [{ type: "text", text: `Operation ${method.toUpperCase()} ${path} not found` }],
-        };
+    // The section's operations as written, and the components they use
+    const section = {};
+    for (const { path: operationPath, method, operation } of operations) {
+      section[operationPath] = { ...section[operationPath], [method]: operation };
+    }
+    const components = {};
+    const pending = [section];
+    while (pending.length > 0) {
+      const value = pending.pop();
+      if (!value || typeof value !== "object") continue;
+      if (typeof value.$ref === "string") {
+        const match = value.$ref.match(/^#\/components\/([^/]+)\/(.+)$/);
+        if (match) {
+          const [, type, name] = match.map((part) => part.replace(/~1/g, "/").replace(/~0/g, "~"));
+          if (!components[type]?.[name] && openApiDoc.components?.[type]?.[name]) {
+            components[type] = { ...components[type], [name]: openApiDoc.components[type][name] };
+            pending.push(openApiDoc.components[type][name]);
+          }
+        }
       }
+      pending.push(...Object.values(value));
+    }
 
-      if (!operation.responses) {
-        return {
-          content: [
-            { type: "text", text: `No responses defined for ${method.toUpperCase()} ${path}` },
-          ],
-        };
-      }
+    // Lint problems within the section
+    const pointers = operations.map(({ path: operationPath, method }) => jsonPointer("paths", operationPath, method));
+    const problems = Object.entries(LINT_RULES).flatMap(([rule, { severity, check }]) =>
+      check(openApiDoc)
+        .filter(({ location }) => pointers.some((pointer) => location.startsWith(pointer)))
+        .map((problem) => ({ severity, rule, ...problem })),
+    );
 
-      const responseObj = statusCode
-        ? operation.responses[statusCode]
-        : Object.values(operation.responses)[0];
-      if (!responseObj) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `Response ${statusCode} not found for ${method.toUpperCase()} ${path}. Available: ${Object.keys(operation.responses).join(", ")}`,
-            },
-          ],
-        };
-      }
+    const scope = [path && `paths under ${path}`, tag && `operations tagged ${tag}`].filter(Boolean).join(" and ");
+    return promptResult(
+      `Review ${scope || "the whole spec"}`,
+      [
+        `Review ${scope || "all operations"} of the ${openApiDoc.info?.title ?? "API"} spec (${specVersion(openApiDoc)}) for consistency and completeness.`,
+        [
+          "Check in particular:",
+          "- Naming: paths, operationIds, parameters and properties follow one convention",
+          "- Consistent pagination, filtering, error responses and status codes across operations",
+          "- Every operation has a summary, documented error responses and examples",
+          "- Schemas have types, required lists, formats and descriptions, and reuse components instead of repeating them",
+          "- Security is declared wherever it is needed",
+          "List each finding with its location (path and method, or component) and a concrete fix. Start with the lint problems below, if any.",
+        ].join("\n"),
+      ],
+      { paths: section, components, lintProblems: problems },
+    );
+  }),
+);
 
-      if (!responseObj.content) {
-        return { content: [{ type: "text", text: `No content defined in response` }] };
+// Read on in a result that was cut off at --max-output
+registry.tool(
+  "continue-output",
+  "Returns the next part of a tool result that was truncated because it exceeded the maximum output size",
+  {
+    cursor: z.string().describe("Cursor from the truncation notice"),
+    format: formatOption("text"),
+  },
+  toolHandler(
+    ({ cursor, format = textDefaultFormat }) => {
+      const { id, offset } = decodeCursor(cursor);
+      const text = truncatedOutputs.get(id);
+      if (text === undefined || !Number.isInteger(offset) || offset < 0 || offset > text.length) {
+        throw new ToolError(
+          "invalid_arguments",
+          "Unknown or expired cursor. Only the most recent truncated results are kept; repeat the original call",
+        );
       }
+      // YAML and JSON escape the text, so they hold smaller parts of it
+      const end = chunkEnd(text, offset, format === "text" ? maxOutput : Math.floor(maxOutput / 2));
+      return dataResult(
+        {
+          text: text.slice(offset, end),
+          from: offset,
+          to: end,
+          total: text.length,
+          ...(end < text.length ? { nextCursor: encodeCursor({ id, offset: end }) } : {}),
+        },
+        { id, output: text, offset },
+      );
+    },
+    {
+      text: ({ id, output, offset }) => outputChunk(id, output, offset),
+    },
+  ),
+);
 
-      const examples = {};
-      for (const [contentType, content] of Object.entries(responseObj.content)) {
-        if (content.examples) {
-          examples[contentType] = content.examples;
-        } else if (content.example) {
-          examples[contentType] = { default: { value: content.example } };
-        }
-      }
+// Create an MCP server with all tools, resources and prompts, for one client connection
+const createMcpServer = () => {
+  const server = new McpServer({
+    name: `OpenAPI Schema`,
+    version: "1.0.0",
+    description: `Provides OpenAPI schema information for schema files`,
+  });
 
-      if (Object.keys(examples).length === 0) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `No examples found for ${method.toUpperCase()} ${path} response${statusCode ? ` ${statusCode}` : ""}`,
-            },
-          ],
-        };
-      }
+  // Schema changes are announced with resource list change notifications, and with update
+  // notifications for the resources a client subscribed to
+  server.server.registerCapabilities({ resources: { listChanged: true, subscribe: true } });
+  for (const register of registrations) register(server);
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: toYaml(examples),
-          },
-        ],
-      };
-    } else if (type === "component") {
-      if (!componentType || !componentName) {
-        return {
-          content: [
-            { type: "text", text: "Component type and name are required for component examples" },
-          ],
-        };
+  // Subscriptions to resources, notified with resources/updated when their spec file changes
+  const subscriptions = new Set();
+  server.server.setRequestHandler(SubscribeRequestSchema, ({ params }) => {
+    subscriptions.add(params.uri);
+    // Loading the spec starts watching its file
+    const alias = decodeURIComponent(params.uri.match(/^openapi:\/\/([^/]+)/)?.[1] ?? "");
+    if (specs.has(alias)) {
+      try {
+        loadSchema(specs.get(alias));
+      } catch {
+        // Reported when the resource is read
       }
+    }
+    return {};
+  });
 
-      const component = openApiDoc.components?.[componentType]?.[componentName];
-      if (!component) {
-        return {
-          content: [
-            { type: "text", text: `Component ${componentType}.${componentName} not found` },
-          ],
-        };
-      }
+  server.server.setRequestHandler(UnsubscribeRequestSchema, ({ params }) => {
+    subscriptions.delete(params.uri);
+    return {};
+  });
 
-      const examples =
-        component.examples || (component.example ? { default: component.example } : null);
-      if (!examples) {
-        return {
-          content: [
-            {
-              type: "text",
-              text: `No examples found for component ${componentType}.${componentName}`,
-            },
-          ],
-        };
-      }
+  server.server.oninitialized = () => connectedServers.set(server, subscriptions);
+  server.server.onclose = () => connectedServers.delete(server);
+  return server;
+};
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: toYaml(examples),
-          },
-        ],
-      };
-    }
-  },
-);
+// Sessions of the HTTP server, keyed by session ID: Streamable HTTP transports, and SSE
+// transports for clients that only support the older HTTP+SSE protocol
+const httpSessions = new Map();
 
-// Search across the API specification
-server.tool(
-  "search-schema",
-  "Searches across paths, operations, and schemas",
-  {
-    openapiSchemaPath: z.string().describe("Path to the OpenAPI schema file"),
-    pattern: z.string().describe("Search pattern (case-insensitive)")
-  },
-  ({ openapiSchemaPath, pattern }) => {
-    const openApiDoc = loadSchema(openapiSchemaPath);
-    const searchRegex = new RegExp(pattern, "i");
-    const results = {
-      paths: [],
-      operations: [],
-      components: [],
-      parameters: [],
-      securitySchemes: [],
-    };
+const sendHttpError = (response, status, message, headers = {}) => {
+  response.writeHead(status, { ...headers, "Content-Type": "application/json" });
+  response.end(JSON.stringify({ jsonrpc: "2.0", error: { code: -32000, message }, id: null }));
+};
 
-    // Search paths
-    for (const path of Object.keys(openApiDoc.paths || {})) {
-      if (searchRegex.test(path)) {
-        results.paths.push(path);
-      }
+// Compare digests so that the time the comparison takes does not reveal the token
+const tokenDigest = (token) => createHash("sha256").update(token).digest();
 
-      // Search operations within paths
-      const pathItem = openApiDoc.paths[path];
-      for (const method of ["get", "post", "put", "delete", "patch", "options", "head"]) {
-        const operation = pathItem[method];
-        if (!operation) continue;
+const hasBearerToken = (request, token) => {
+  const [, presented] = request.headers.authorization?.match(/^Bearer\s+(.+)$/i) ?? [];
+  return presented !== undefined && timingSafeEqual(tokenDigest(presented), tokenDigest(token));
+};
 
-        if (
-          searchRegex.test(operation.summary || "") ||
-          searchRegex.test(operation.description || "") ||
-          (operation.tags && operation.tags.some((tag) => searchRegex.test(tag)))
-        ) {
-          results.operations.push(`${method.toUpperCase()} ${path}`);
-        }
+const LOOPBACK_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
 
-        // Search parameters
-        for (const param of operation.parameters || []) {
-          if (searchRegex.test(param.name || "") || searchRegex.test(param.description || "")) {
-            results.parameters.push(`${param.name} (${method.toUpperCase()} ${path})`);
-          }
-        }
-      }
+// Serve MCP over HTTP: Streamable HTTP on /mcp, and HTTP+SSE on /sse with messages posted
+// to /messages. Every session gets its own MCP server; they share the parsed specs.
+const createHttpHandler = ({ token, loopback }) => async (request, response) => {
+  try {
+    // Pages on other sites can reach a loopback server by DNS rebinding, with their own host name
+    if (loopback && !LOOPBACK_HOSTS.includes(request.headers.host?.replace(/:\d+$/, ""))) {
+      return sendHttpError(response, 403, `Host not allowed: ${request.headers.host}`);
+    }
+    if (token && !hasBearerToken(request, token)) {
+      return sendHttpError(response, 401, "Missing or invalid bearer token", { "WWW-Authenticate": "Bearer" });
     }
 
-    // Search components
-    const components = openApiDoc.components || {};
-    for (const [type, typeObj] of Object.entries(components)) {
-      if (!typeObj || typeof typeObj !== "object") continue;
-
-      for (const [name, component] of Object.entries(typeObj)) {
-        if (searchRegex.test(name) || searchRegex.test(component.description || "")) {
-          results.components.push(`${type}.${name}`);
+    const url = new URL(request.url, "http://localhost");
+    if (url.pathname === "/mcp") {
+      const sessionId = request.headers["mcp-session-id"];
+      if (sessionId !== undefined) {
+        const transport = httpSessions.get(sessionId);
+        if (!(transport instanceof StreamableHTTPServerTransport)) {
+          return sendHttpError(response, 404, "Session not found");
         }
+        return await transport.handleRequest(request, response);
       }
-    }
 
-    // Search security schemes
-    for (const [name, scheme] of Object.entries(components.securitySchemes || {})) {
-      if (searchRegex.test(name) || searchRegex.test(scheme.description || "")) {
-        results.securitySchemes.push(name);
-      }
+      // Requests without a session start one. The transport rejects any but initialize requests,
+      // which leaves it without a session ID, so that its server is closed again.
+      const server = createMcpServer();
+      const transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (id) => httpSessions.set(id, transport),
+      });
+      transport.onclose = () => httpSessions.delete(transport.sessionId);
+      await server.connect(transport);
+      await transport.handleRequest(request, response);
+      if (transport.sessionId === undefined) await server.close();
+      return;
     }
 
-    // Clean up empty arrays
-    for (const key of Object.keys(results)) {
-      if (results[key].length === 0) {
-        delete results[key];
-      }
+    if (url.pathname === "/sse" && request.method === "GET") {
+      const transport = new SSEServerTransport("/messages", response);
+      httpSessions.set(transport.sessionId, transport);
+      transport.onclose = () => httpSessions.delete(transport.sessionId);
+      return await createMcpServer().connect(transport);
     }
 
-    if (Object.keys(results).length === 0) {
-      return { content: [{ type: "text", text: `No matches found for "${pattern}"` }] };
+    if (url.pathname === "/messages" && request.method === "POST") {
+      const transport = httpSessions.get(url.searchParams.get("sessionId"));
+      if (!(transport instanceof SSEServerTransport)) {
+        return sendHttpError(response, 404, "Session not found");
+      }
+      return await transport.handlePostMessage(request, response);
     }
 
-    return {
-      content: [
-        {
-          type: "text",
-          text: toYaml(results),
-        },
-      ],
-    };
-  },
-);
+    sendHttpError(response, 404, "Not found");
+  } catch (error) {
+    console.error(`Error handling ${request.method} ${request.url}: ${error.message}`);
+    if (!response.headersSent) sendHttpError(response, 500, "Internal server error");
+  }
+};
 
-const transport = new StdioServerTransport();
-await server.connect(transport);
+if (httpPort === undefined) {
+  await createMcpServer().connect(new StdioServerTransport());
+} else {
+  const address = options.bind ?? "127.0.0.1";
+  const token = options["http-token"] ?? process.env.MCP_HTTP_TOKEN;
+  const loopback = LOOPBACK_HOSTS.includes(address.includes(":") ? `[${address}]` : address);
+  const httpServer = createServer(createHttpHandler({ token, loopback }));
+  httpServer.once("error", (error) => {
+    console.error(`Unable to start the HTTP server on ${address}:${httpPort}: ${error.message}`);
+    process.exit(1);
+  });
+  httpServer.listen(httpPort, address, () => {
+    const { address: host, family, port } = httpServer.address();
+    const base = `http://${family === "IPv6" ? `[${host}]` : host}:${port}`;
+    console.error(`MCP server listening on ${base}/mcp (HTTP+SSE: ${base}/sse)${token ? " with bearer token" : ""}`);
+  });
+}